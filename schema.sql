@@ -1,6 +1,32 @@
+-- Create accounts (content teams) and their members
+-- Upgrading an existing single-account database:
+--   INSERT INTO accounts (name) VALUES ('Kumarmdkhare');
+--   ALTER TABLE prompts ADD COLUMN account_id INTEGER;        UPDATE prompts SET account_id = 1;
+--   ALTER TABLE chat_prompts ADD COLUMN account_id INTEGER;   UPDATE chat_prompts SET account_id = 1;
+--   ALTER TABLE extraction_jobs ADD COLUMN account_id INTEGER;
+--   ALTER TABLE usage_logs ADD COLUMN account_id INTEGER;
+--   UPDATE usage_logs SET account_id = (SELECT id FROM accounts WHERE name = usage_logs.account_name);
+--   hitl_settings changes its primary key: rename it, run this file, then
+--   INSERT INTO hitl_settings (account_id, type, content, updated_at) SELECT 1, type, content, updated_at FROM hitl_settings_old;
+CREATE TABLE IF NOT EXISTS accounts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS account_members (
+  account_id INTEGER NOT NULL,
+  user_email TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (account_id, user_email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_members_user ON account_members(user_email);
+
 -- Create extraction prompts table if it doesn't exist
 CREATE TABLE IF NOT EXISTS prompts (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
+  account_id INTEGER NOT NULL,
   name TEXT NOT NULL,
   university TEXT,
   state TEXT,
@@ -12,6 +38,7 @@ CREATE TABLE IF NOT EXISTS prompts (
 -- Create chat assistant prompts table if it doesn't exist
 CREATE TABLE IF NOT EXISTS chat_prompts (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
+  account_id INTEGER NOT NULL,
   name TEXT NOT NULL,
   type TEXT NOT NULL,
   content TEXT NOT NULL,
@@ -22,25 +49,222 @@ CREATE TABLE IF NOT EXISTS chat_prompts (
 CREATE TABLE IF NOT EXISTS usage_logs (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   user_email TEXT NOT NULL,
-  event_type TEXT NOT NULL, -- 'extraction' or 'chat' or 'excel_merger'
+  event_type TEXT NOT NULL, -- 'extraction', 'chat', 'excel_merger', 'ai_repeat_sorter', ... (file_count > 0 marks a finished file or sort run)
   token_input INTEGER DEFAULT 0,
   token_output INTEGER DEFAULT 0,
   token_total INTEGER DEFAULT 0,
   file_count INTEGER DEFAULT 0,
-  account_name TEXT DEFAULT 'All in All',
+  model TEXT, -- Gemini model that produced the tokens (NULL on old rows = gemini-2.5-flash-lite)
+  account_id INTEGER,
+  account_name TEXT, -- legacy, superseded by account_id
+  job_id TEXT, -- set for extraction jobs so a retried job is only billed once
+  prompt_version_id INTEGER, -- prompt_versions.id of the prompt used (NULL for built-in prompts)
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create temporary files table for Excel downloads
+-- Existing databases: ALTER TABLE usage_logs ADD COLUMN job_id TEXT; ALTER TABLE usage_logs ADD COLUMN model TEXT;
+--   ALTER TABLE usage_logs ADD COLUMN prompt_version_id INTEGER;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_usage_logs_job_id ON usage_logs(job_id) WHERE job_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_usage_logs_account ON usage_logs(account_id, created_at);
+
+-- Create generated files metadata; the workbooks themselves live in the GENERATED_FILES R2 bucket
+-- Existing databases (old rows held base64 data and never expired): DROP TABLE generated_files; then run this file
 CREATE TABLE IF NOT EXISTS generated_files (
   id TEXT PRIMARY KEY,
-  data_base64 TEXT NOT NULL,
+  account_id INTEGER,
+  owner_email TEXT NOT NULL,
+  filename TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  r2_key TEXT NOT NULL,
+  expires_at DATETIME NOT NULL,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX IF NOT EXISTS idx_generated_files_expires ON generated_files(expires_at);
+
 -- Create HITL settings for Context Restorer prompts
 CREATE TABLE IF NOT EXISTS hitl_settings (
-  type TEXT PRIMARY KEY,
+  account_id INTEGER NOT NULL,
+  type TEXT NOT NULL,
   content TEXT NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (account_id, type)
+);
+
+-- Create asynchronous extraction jobs table (polled via /api/jobs/:id)
+CREATE TABLE IF NOT EXISTS extraction_jobs (
+  id TEXT PRIMARY KEY,
+  user_email TEXT NOT NULL,
+  account_id INTEGER,
+  file_name TEXT,
+  model TEXT,
+  temperature REAL,
+  prompt_version_id INTEGER, -- Existing databases: ALTER TABLE extraction_jobs ADD COLUMN prompt_version_id INTEGER;
+  status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'succeeded' or 'failed'
+  result_json TEXT,
+  usage_json TEXT,
+  input_json TEXT, -- run options while the job waits for the queue consumer; Existing databases: ALTER TABLE extraction_jobs ADD COLUMN input_json TEXT;
+  error TEXT,
+  attempts INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME,
+  completed_at DATETIME,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
+
+CREATE INDEX IF NOT EXISTS idx_extraction_jobs_user ON extraction_jobs(account_id, user_email, created_at);
+
+-- Create users table for role-based access (identity comes from Cloudflare Access)
+-- Users not listed here get DEFAULT_USER_ROLE ('viewer' if unset).
+-- Bootstrap the first admin: INSERT INTO users (email, role) VALUES ('you@example.com', 'admin');
+CREATE TABLE IF NOT EXISTS users (
+  email TEXT PRIMARY KEY,
+  role TEXT NOT NULL DEFAULT 'viewer', -- 'admin', 'editor' or 'viewer'
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create token budgets (per account, optionally per user) enforced before Gemini calls
+CREATE TABLE IF NOT EXISTS token_budgets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  account_id INTEGER NOT NULL,
+  user_email TEXT NOT NULL DEFAULT '', -- '' = account-wide budget
+  daily_limit INTEGER, -- NULL = unlimited
+  monthly_limit INTEGER, -- NULL = unlimited
+  warn_at_percent INTEGER, -- NULL = BUDGET_WARN_PERCENT (80 if unset)
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (account_id, user_email)
+);
+
+-- Create model pricing (USD per million tokens) used to cost usage_logs in admin analytics
+CREATE TABLE IF NOT EXISTS model_pricing (
+  model TEXT PRIMARY KEY,
+  input_per_million REAL NOT NULL,
+  output_per_million REAL NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Vertex AI list prices at the time of writing; adjust via PUT /api/admin/pricing/:model
+INSERT OR IGNORE INTO model_pricing (model, input_per_million, output_per_million) VALUES
+  ('gemini-2.5-flash-lite', 0.10, 0.40),
+  ('gemini-2.5-flash', 0.30, 2.50),
+  ('gemini-2.5-pro', 1.25, 10.00),
+  ('gemini-2.0-flash', 0.15, 0.60),
+  ('gemini-2.0-flash-lite', 0.075, 0.30);
+
+-- Create append-only prompt history. prompt_ref is prompts.id, chat_prompts.id or hitl_settings.type
+-- depending on prompt_kind ('prompt', 'chat_prompt' or 'hitl'); rows are never updated or deleted.
+CREATE TABLE IF NOT EXISTS prompt_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  account_id INTEGER NOT NULL,
+  prompt_kind TEXT NOT NULL,
+  prompt_ref TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  metadata_json TEXT, -- name/university/state/type at the time of the edit
+  author_email TEXT NOT NULL,
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (account_id, prompt_kind, prompt_ref, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_versions_content ON prompt_versions(account_id, content);
+
+-- Create LLM fixtures for LLM_FIXTURE_MODE=record / replay (local development and regression runs)
+CREATE TABLE IF NOT EXISTS llm_fixtures (
+  fixture_key TEXT PRIMARY KEY, -- SHA-256 of provider, model, settings, prompt and attachments
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  prompt_preview TEXT,
+  response_json TEXT NOT NULL, -- { text, finishReason, usage }
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create the question bank: papers and their questions, imported on demand from extraction results
+-- and restored / sorted workbooks (POST /api/question-bank/import). paper_key is the normalised
+-- university|subject|paper|month_year|type, so re-importing a paper replaces its questions.
+CREATE TABLE IF NOT EXISTS papers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  account_id INTEGER NOT NULL,
+  paper_key TEXT NOT NULL,
+  university TEXT,
+  subject TEXT,
+  paper TEXT,
+  month_year TEXT,
+  type TEXT,
+  source TEXT NOT NULL, -- 'extraction' or 'workbook'
+  source_name TEXT, -- file name of the PDF or workbook
+  job_id TEXT, -- extraction_jobs.id when imported from a job
+  question_count INTEGER NOT NULL DEFAULT 0,
+  imported_by TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (account_id, paper_key)
+);
+
+CREATE TABLE IF NOT EXISTS questions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  account_id INTEGER NOT NULL,
+  paper_id INTEGER NOT NULL,
+  position INTEGER NOT NULL, -- order within the paper
+  q_num TEXT,
+  section TEXT,
+  question TEXT NOT NULL,
+  normalized TEXT, -- question without numbering, marks or punctuation (questionClustering.js); Existing databases: ALTER TABLE questions ADD COLUMN normalized TEXT;
+  row_json TEXT, -- the imported row as it was
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_questions_paper ON questions(paper_id, position);
+CREATE INDEX IF NOT EXISTS idx_papers_account ON papers(account_id, university, subject);
+CREATE INDEX IF NOT EXISTS idx_questions_normalized ON questions(account_id, normalized);
+
+-- Full-text index over questions.question, kept in sync by the triggers below
+CREATE VIRTUAL TABLE IF NOT EXISTS questions_fts USING fts5(question, content='questions', content_rowid='id', tokenize='porter unicode61');
+
+CREATE TRIGGER IF NOT EXISTS questions_fts_insert AFTER INSERT ON questions BEGIN
+  INSERT INTO questions_fts (rowid, question) VALUES (new.id, new.question);
+END;
+
+CREATE TRIGGER IF NOT EXISTS questions_fts_delete AFTER DELETE ON questions BEGIN
+  INSERT INTO questions_fts (questions_fts, rowid, question) VALUES ('delete', old.id, old.question);
+END;
+
+CREATE TRIGGER IF NOT EXISTS questions_fts_update AFTER UPDATE OF question ON questions BEGIN
+  INSERT INTO questions_fts (questions_fts, rowid, question) VALUES ('delete', old.id, old.question);
+  INSERT INTO questions_fts (rowid, question) VALUES (new.id, new.question);
+END;
+
+-- Create embedding vectors for seen-before matching (repeatMatcher.js), one per distinct normalised
+-- question text and model, so re-imports and repeated questions are only embedded once
+CREATE TABLE IF NOT EXISTS question_embeddings (
+  account_id INTEGER NOT NULL,
+  model TEXT NOT NULL,
+  normalized TEXT NOT NULL,
+  vector TEXT NOT NULL, -- base64 of the unit-length Float32 vector
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (account_id, model, normalized)
+);
+
+-- Create Repeat Sorter topics for the repeat report (POST /api/reports/repeat-topics): each merged
+-- row of the sorter's output is a topic, linked to its member questions by normalised text
+-- (questions.normalized). A text belongs to one topic; saving a later sorter run moves it.
+CREATE TABLE IF NOT EXISTS repeat_topics (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  account_id INTEGER NOT NULL,
+  subject TEXT,
+  topic TEXT NOT NULL, -- the sorter's mergedQuestion
+  created_by TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS repeat_topic_members (
+  account_id INTEGER NOT NULL,
+  normalized TEXT NOT NULL,
+  topic_id INTEGER NOT NULL,
+  PRIMARY KEY (account_id, normalized)
+);
+
+CREATE INDEX IF NOT EXISTS idx_repeat_topic_members_topic ON repeat_topic_members(topic_id);
@@ -0,0 +1,48 @@
+import { ROLES, hasRole } from './auth.js';
+
+// Accounts are the tenancy boundary: prompts, HITL settings, generated files, jobs and usage
+// all carry an account_id. Users belong to accounts through account_members.
+
+export async function listAccountsForUser(env, user) {
+    const stmt = hasRole(user, ROLES.ADMIN)
+        ? env.DB.prepare('SELECT id, name FROM accounts ORDER BY name ASC')
+        : env.DB.prepare(`
+            SELECT a.id, a.name FROM accounts a
+            JOIN account_members m ON m.account_id = a.id
+            WHERE m.user_email = ?
+            ORDER BY a.name ASC
+        `).bind(user.email);
+    const { results } = await stmt.all();
+    return results || [];
+}
+
+/**
+ * Hono middleware: picks the account the request acts on and sets c.get('account') = { id, name }.
+ * The caller chooses with the X-Account-Id header (or ?account_id=); otherwise their first account is used.
+ * Admins may act on any account, everyone else only on accounts they are a member of.
+ * Paths starting with one of `exempt` (account and user management) still run without an account.
+ */
+export function resolveAccount({ exempt = [] } = {}) {
+    return async (c, next) => {
+        const user = c.get('user');
+        const accounts = await listAccountsForUser(c.env, user);
+        const requested = c.req.header('X-Account-Id') || c.req.query('account_id');
+        const isExempt = exempt.some(prefix => c.req.path.startsWith(prefix));
+
+        let account;
+        if (requested) {
+            account = accounts.find(a => String(a.id) === String(requested));
+            if (!account && !isExempt) {
+                return c.json({ error: 'Forbidden', details: `You do not have access to account ${requested}` }, 403);
+            }
+        } else {
+            account = accounts[0];
+            if (!account && !isExempt) {
+                return c.json({ error: 'Forbidden', details: 'You are not a member of any account. Ask an admin to add you.' }, 403);
+            }
+        }
+
+        c.set('account', account || null);
+        await next();
+    };
+}
@@ -0,0 +1,69 @@
+import { DEFAULT_MODEL } from './vertexAi.js';
+
+// Cost is computed at query time from model_pricing (USD per million tokens), so correcting a
+// price re-prices history. Rows logged before the model was recorded are priced as DEFAULT_MODEL.
+// Queries using these fragments alias usage_logs as `u` and must bind DEFAULT_MODEL first.
+export const PRICING_JOIN = 'LEFT JOIN model_pricing p ON p.model = COALESCE(u.model, ?)';
+export const INPUT_COST_SQL = '(COALESCE(u.token_input, 0) * COALESCE(p.input_per_million, 0) / 1000000.0)';
+export const OUTPUT_COST_SQL = '(COALESCE(u.token_output, 0) * COALESCE(p.output_per_million, 0) / 1000000.0)';
+export const COST_SQL = `(${INPUT_COST_SQL} + ${OUTPUT_COST_SQL})`;
+
+const LEDGER_COLUMNS = [
+    'id', 'created_at', 'user_email', 'event_type', 'model', 'token_input', 'token_output',
+    'token_total', 'file_count', 'input_cost', 'output_cost', 'total_cost', 'currency'
+];
+
+/**
+ * Every usage row of an account in a date range (inclusive, IST dates), with its cost.
+ * @param {object} filters - { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', userEmail }
+ */
+export async function fetchUsageLedger(env, accountId, { from, to, userEmail } = {}) {
+    let filterClause = '';
+    const params = [DEFAULT_MODEL, accountId];
+    if (from) {
+        filterClause += " AND DATE(u.created_at, '+5 hours', '+30 minutes') >= ?";
+        params.push(from);
+    }
+    if (to) {
+        filterClause += " AND DATE(u.created_at, '+5 hours', '+30 minutes') <= ?";
+        params.push(to);
+    }
+    if (userEmail) {
+        filterClause += ' AND u.user_email = ?';
+        params.push(userEmail);
+    }
+
+    const { results } = await env.DB.prepare(`
+        SELECT
+            u.id,
+            DATETIME(u.created_at, '+5 hours', '+30 minutes') as created_at,
+            u.user_email,
+            u.event_type,
+            COALESCE(u.model, ?) as model,
+            u.token_input,
+            u.token_output,
+            u.token_total,
+            u.file_count,
+            ROUND(${INPUT_COST_SQL}, 6) as input_cost,
+            ROUND(${OUTPUT_COST_SQL}, 6) as output_cost,
+            ROUND(${COST_SQL}, 6) as total_cost,
+            COALESCE(p.currency, 'USD') as currency
+        FROM usage_logs u
+        ${PRICING_JOIN}
+        WHERE u.account_id = ? ${filterClause}
+        ORDER BY u.created_at ASC, u.id ASC
+    `).bind(DEFAULT_MODEL, ...params).all();
+    return results || [];
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function ledgerToCsv(rows) {
+    const lines = [LEDGER_COLUMNS.join(',')];
+    rows.forEach(row => lines.push(LEDGER_COLUMNS.map(col => csvCell(row[col])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
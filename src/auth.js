@@ -0,0 +1,97 @@
+import * as jose from 'jose';
+
+// Identity comes from the Cloudflare Access JWT (Cf-Access-Jwt-Assertion), never from
+// caller-supplied headers. Roles live in the D1 `users` table.
+export const ROLES = {
+    ADMIN: 'admin',
+    EDITOR: 'editor',
+    VIEWER: 'viewer'
+};
+
+const ROLE_RANK = { viewer: 1, editor: 2, admin: 3 };
+
+// The JWKS set caches fetched keys itself, so keep one per isolate
+let cachedJwks = null;
+let cachedJwksUrl = null;
+
+function getJwks(env) {
+    const url = env.CF_ACCESS_JWKS_URL || `https://${env.CF_ACCESS_TEAM_DOMAIN}/cdn-cgi/access/certs`;
+    if (!cachedJwks || cachedJwksUrl !== url) {
+        cachedJwks = jose.createRemoteJWKSet(new URL(url));
+        cachedJwksUrl = url;
+    }
+    return cachedJwks;
+}
+
+export function getAllowedOrigins(env) {
+    return String(env.CORS_ALLOWED_ORIGINS || '')
+        .split(',')
+        .map(o => o.trim())
+        .filter(Boolean);
+}
+
+// Origin value for Access-Control-Allow-Origin, or null when the origin is not allowlisted
+export function resolveCorsOrigin(origin, env) {
+    return origin && getAllowedOrigins(env).includes(origin) ? origin : null;
+}
+
+async function verifyAccessToken(token, env) {
+    if (!env.CF_ACCESS_TEAM_DOMAIN || !env.CF_ACCESS_AUD) {
+        throw new Error('Cloudflare Access is not configured (CF_ACCESS_TEAM_DOMAIN / CF_ACCESS_AUD)');
+    }
+    const { payload } = await jose.jwtVerify(token, getJwks(env), {
+        issuer: `https://${env.CF_ACCESS_TEAM_DOMAIN}`,
+        audience: env.CF_ACCESS_AUD
+    });
+    if (!payload.email) {
+        throw new Error('Access token has no email claim (service tokens are not supported)');
+    }
+    return String(payload.email).toLowerCase();
+}
+
+async function lookupRole(env, email) {
+    const row = await env.DB.prepare('SELECT role FROM users WHERE email = ?').bind(email).first();
+    return row?.role || env.DEFAULT_USER_ROLE || ROLES.VIEWER;
+}
+
+/**
+ * Hono middleware: resolves the caller to c.get('user') = { email, role } or answers 401.
+ * AUTH_MODE = "dev" trusts X-User-Email (or DEV_USER_EMAIL) for local `wrangler dev` only.
+ */
+export function accessAuth() {
+    return async (c, next) => {
+        let email;
+        try {
+            if (c.env.AUTH_MODE === 'dev') {
+                email = String(c.req.header('X-User-Email') || c.env.DEV_USER_EMAIL || '').toLowerCase();
+                if (!email) throw new Error('Set X-User-Email or DEV_USER_EMAIL when AUTH_MODE is "dev"');
+            } else {
+                const token = c.req.header('Cf-Access-Jwt-Assertion');
+                if (!token) throw new Error('Missing Cf-Access-Jwt-Assertion header');
+                email = await verifyAccessToken(token, c.env);
+            }
+        } catch (error) {
+            console.error('Authentication failed:', error.message);
+            return c.json({ error: 'Unauthorized', details: error.message }, 401);
+        }
+
+        const role = await lookupRole(c.env, email);
+        c.set('user', { email, role });
+        await next();
+    };
+}
+
+export function hasRole(user, minRole) {
+    return !!user && (ROLE_RANK[user.role] || 0) >= ROLE_RANK[minRole];
+}
+
+// Hono middleware: rejects callers below minRole with 403
+export function requireRole(minRole) {
+    return async (c, next) => {
+        const user = c.get('user');
+        if (!hasRole(user, minRole)) {
+            return c.json({ error: 'Forbidden', details: `This action requires the '${minRole}' role` }, 403);
+        }
+        await next();
+    };
+}
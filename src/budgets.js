@@ -0,0 +1,128 @@
+// Token budgets (D1) — checked before every Gemini call so overspend is stopped up front
+// instead of being discovered later in usage_logs. A budget row with user_email = '' applies
+// to the whole account; any other row applies to that one user inside the account.
+// Days and months are counted in IST, matching the admin analytics.
+
+const DEFAULT_WARN_PERCENT = 80;
+
+const IST = "'+5 hours', '+30 minutes'";
+
+async function getUsageTotals(env, accountId, userEmail) {
+    return env.DB.prepare(`
+        SELECT
+            COALESCE(SUM(CASE WHEN DATE(created_at, ${IST}) = DATE('now', ${IST}) THEN token_total END), 0) AS account_daily,
+            COALESCE(SUM(token_total), 0) AS account_monthly,
+            COALESCE(SUM(CASE WHEN user_email = ? AND DATE(created_at, ${IST}) = DATE('now', ${IST}) THEN token_total END), 0) AS user_daily,
+            COALESCE(SUM(CASE WHEN user_email = ? THEN token_total END), 0) AS user_monthly
+        FROM usage_logs
+        WHERE account_id = ?
+          AND STRFTIME('%Y-%m', created_at, ${IST}) = STRFTIME('%Y-%m', 'now', ${IST})
+    `).bind(userEmail, userEmail, accountId).first();
+}
+
+function describeLimit(scope, period, limit, used, warnAtPercent) {
+    const percent = limit > 0 ? Math.round((used / limit) * 100) : 100;
+    return {
+        scope,
+        period,
+        limit,
+        used,
+        remaining: Math.max(limit - used, 0),
+        percent,
+        exhausted: used >= limit,
+        warning: percent >= warnAtPercent
+    };
+}
+
+/**
+ * Remaining budget for a user in an account.
+ * @returns {Promise<{ allowed: boolean, warning: boolean, limits: Array }>} limits lists every
+ *   configured daily/monthly limit (user and account) with used/remaining tokens.
+ */
+export async function getBudgetStatus(env, accountId, userEmail) {
+    const { results } = await env.DB.prepare(
+        "SELECT * FROM token_budgets WHERE account_id = ? AND user_email IN ('', ?)"
+    ).bind(accountId, userEmail).all();
+    const budgets = results || [];
+    if (budgets.length === 0) {
+        return { allowed: true, warning: false, limits: [] };
+    }
+
+    const totals = await getUsageTotals(env, accountId, userEmail);
+    const limits = [];
+    for (const budget of budgets) {
+        const scope = budget.user_email ? 'user' : 'account';
+        const warnAt = budget.warn_at_percent ?? parseInt(env.BUDGET_WARN_PERCENT ?? DEFAULT_WARN_PERCENT, 10);
+        if (budget.daily_limit !== null) {
+            limits.push(describeLimit(scope, 'daily', budget.daily_limit, totals[`${scope}_daily`], warnAt));
+        }
+        if (budget.monthly_limit !== null) {
+            limits.push(describeLimit(scope, 'monthly', budget.monthly_limit, totals[`${scope}_monthly`], warnAt));
+        }
+    }
+
+    return {
+        allowed: !limits.some(l => l.exhausted),
+        warning: limits.some(l => l.warning),
+        limits
+    };
+}
+
+/**
+ * Hono middleware: answers 429 "Budget Exhausted" when any budget for the caller is used up.
+ * Otherwise stores the status on c.get('budget') and flags the soft limit in X-Budget-Warning.
+ */
+export function enforceBudget() {
+    return async (c, next) => {
+        const status = await getBudgetStatus(c.env, c.get('account').id, c.get('user').email);
+        if (!status.allowed) {
+            const exhausted = status.limits.filter(l => l.exhausted);
+            return c.json({
+                error: 'Budget Exhausted',
+                details: exhausted.map(l => `${l.scope} ${l.period} budget of ${l.limit} tokens used up (${l.used} used)`).join('; '),
+                budget: status
+            }, 429);
+        }
+        c.set('budget', status);
+        await next();
+        if (status.warning) {
+            c.header('X-Budget-Warning', status.limits.filter(l => l.warning).map(l => `${l.scope} ${l.period} ${l.percent}%`).join(', '));
+        }
+    };
+}
+
+// Soft-limit warning for JSON responses (null while under the threshold)
+export function budgetWarning(c) {
+    const status = c.get('budget');
+    if (!status || !status.warning) return null;
+    return {
+        message: 'You are close to your token budget',
+        limits: status.limits.filter(l => l.warning)
+    };
+}
+
+export async function listBudgets(env, accountId) {
+    const { results } = await env.DB.prepare(
+        'SELECT * FROM token_budgets WHERE account_id = ? ORDER BY user_email ASC'
+    ).bind(accountId).all();
+    return results || [];
+}
+
+export async function upsertBudget(env, accountId, { user_email, daily_limit, monthly_limit, warn_at_percent }) {
+    return env.DB.prepare(`
+        INSERT INTO token_budgets (account_id, user_email, daily_limit, monthly_limit, warn_at_percent)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(account_id, user_email) DO UPDATE SET
+            daily_limit = EXCLUDED.daily_limit,
+            monthly_limit = EXCLUDED.monthly_limit,
+            warn_at_percent = EXCLUDED.warn_at_percent,
+            updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+    `).bind(
+        accountId,
+        (user_email || '').toLowerCase(),
+        daily_limit ?? null,
+        monthly_limit ?? null,
+        warn_at_percent ?? null
+    ).first();
+}
@@ -1,104 +1,407 @@
 import * as XLSX from 'xlsx';
+import { normalizeKey } from './rowKeys.js';
 
-export async function processExcelMerge(buffer) {
-    const workbook = XLSX.read(buffer, { type: 'array' });
-    const sheetName = workbook.SheetNames[0];
+// Question-number cells: "1", "1.", "1a", "1.a", "2(b)", "3.ii", "1.10", "Q4"
+const Q_NUM_VALUE = /^q?\s*\d+\s*[.)]?\s*(\(?[a-z]{1,4}\)?|\(?\d{1,2}\)?)?\s*[.)]?$/i;
+const Q_NUM_WORDS = new Set(['no', 'num', 'number', 'qno', 'qnum', 'qn', 'sno', 'sl']);
+const Q_TEXT_WORDS = new Set(['question', 'questions', 'text', 'qtext']);
+const SAMPLE_ROWS = 50;
+
+// Columns that identify the paper a row belongs to; when present they decide paper boundaries
+const PAPER_COLUMNS = {
+    paper: ['paper', 'papername'],
+    monthYear: ['monthyear', 'month', 'session'],
+    university: ['university', 'universityname']
+};
+
+const ROMAN_VALUE = /^(x{0,3})(ix|iv|v?i{0,3})$/i;
+const QUESTION_PREFIX = /^(q(uestion|ues|ue)?|que)\s*\.?\s*(no\.?|number)?\s*[-:.]?\s*/i;
+const SECTION_MARKER = /^(section|part|sec)\s*[-:.]?\s*([a-z]|[ivx]+|\d+)\s*[.:)]?\s*$/i;
+
+function romanToInt(token) {
+    const values = { i: 1, v: 5, x: 10 };
+    const chars = token.toLowerCase().split('');
+    return chars.reduce((sum, ch, i) => {
+        const value = values[ch];
+        return values[chars[i + 1]] > value ? sum - value : sum + value;
+    }, 0);
+}
+
+function isRoman(token) {
+    return token.length > 0 && ROMAN_VALUE.test(token);
+}
+
+// Order of two sibling subparts (-1 / 0 / 1), or null when they use different styles.
+// "iv" → "v" compares as roman numerals, "h" → "i" as letters.
+function compareParts(cur, prev) {
+    const isNum = t => /^\d+$/.test(t);
+    if (isNum(cur) || isNum(prev)) {
+        return isNum(cur) && isNum(prev) ? Math.sign(parseInt(cur, 10) - parseInt(prev, 10)) : null;
+    }
+    const roman = isRoman(cur) && isRoman(prev) && (cur.length > 1 || prev.length > 1 || cur === 'i' || prev === 'i');
+    if (roman) return Math.sign(romanToInt(cur) - romanToInt(prev));
+    return Math.sign(cur.localeCompare(prev));
+}
+
+/**
+ * Read a question number: "3", "Q.1 (i)", "Question 4", "1(a)(ii)", "1.a.ii", "2b", "IV.", "(b)", "Section B".
+ * @returns {{ root: number|null, rootStyle: 'arabic'|'roman'|null, parts: string[], section: string|null, unreadable: boolean }}
+ *   root is null for a bare subpart such as "(b)"; a roman root ("II") is reported as its value (2).
+ *   A lone roman token without brackets ("ii") is returned as a root with rootStyle 'roman'; the
+ *   grouping decides from context whether it is really a subpart.
+ */
+export function parseQuestionNumber(raw) {
+    const text = String(raw ?? '').trim();
+    const result = { root: null, rootStyle: null, parts: [], section: null, unreadable: false };
+    if (!text) return result;
+
+    const section = text.match(SECTION_MARKER);
+    if (section) {
+        result.section = section[2].toUpperCase();
+        return result;
+    }
+
+    const rest = text.replace(QUESTION_PREFIX, '');
+    const tokens = [...rest.matchAll(/(\(?)\s*(\d+|[a-z]+)\s*\)?/gi)].map(m => ({ bracketed: m[1] === '(', value: m[2].toLowerCase() }));
+    const leftover = rest.replace(/[\s().\-:,/]|\d+|[a-z]+/gi, '');
+    if (tokens.length === 0 || leftover || tokens.some(t => /^[a-z]{3,}$/.test(t.value) && !isRoman(t.value))) {
+        result.unreadable = true;
+        return result;
+    }
+
+    const [first, ...others] = tokens;
+    if (/^\d+$/.test(first.value)) {
+        result.root = parseInt(first.value, 10);
+        result.rootStyle = 'arabic';
+    } else if (!first.bracketed && isRoman(first.value)) {
+        result.root = romanToInt(first.value);
+        result.rootStyle = 'roman';
+    } else {
+        others.unshift(first);
+    }
+    result.parts = others.map(t => t.value);
+    return result;
+}
+
+// True when `parts` starts the subpart sequence again instead of continuing it (1.b after 1.c, a bare 1 after 1.a)
+function restartsSubparts(parts, prevParts) {
+    if (!prevParts) return false;
+    if (parts.length === 0) return true;
+    if (prevParts.length === 0) return false;
+    for (let level = 0; level < parts.length && level < prevParts.length; level++) {
+        const order = compareParts(parts[level], prevParts[level]);
+        if (order === null || order > 0) return false;
+        if (order < 0) return true;
+    }
+    return parts.length <= prevParts.length;
+}
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function headerWords(header) {
+    return String(header ?? '').toLowerCase().split(/[^a-z0-9#]+/).filter(Boolean);
+}
+
+// Whole words only, so "Notes" or "Annotation" are not taken for a number column
+function isQNumHeader(header) {
+    const words = headerWords(header);
+    return words.some(w => Q_NUM_WORDS.has(w) || w === '#') || (words.length === 1 && words[0] === 'q');
+}
+
+function isQTextHeader(header) {
+    return !isQNumHeader(header) && headerWords(header).some(w => Q_TEXT_WORDS.has(w));
+}
+
+// CSV / TSV arrive as text; everything else is handed to SheetJS as a workbook.
+// raw keeps "1.10" or "2a" as typed instead of converting them to numbers.
+function readWorkbook(buffer, fileName = '') {
+    const bytes = new Uint8Array(buffer);
+    const ext = (String(fileName).toLowerCase().match(/\.([a-z0-9]+)$/) || [])[1];
+    const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b; // xlsx / ods
+    const isOle = bytes[0] === 0xd0 && bytes[1] === 0xcf; // legacy xls
+    const isText = ['csv', 'tsv', 'txt'].includes(ext) || (!ext && !isZip && !isOle);
+    if (!isText) {
+        return XLSX.read(buffer, { type: 'array' });
+    }
+    const text = new TextDecoder().decode(bytes).replace(/^\uFEFF/, '');
+    const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+    const tabbed = ext === 'tsv' || (ext !== 'csv' && firstLine.includes('\t'));
+    return XLSX.read(text, { type: 'string', raw: true, ...(tabbed ? { FS: '\t' } : {}) });
+}
+
+// A column given as a header name, a 0-based index or a spreadsheet letter (A, B, ... AA)
+function resolveColumn(headers, value, width, label) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const wanted = String(value).trim();
+    const byName = headers.findIndex(h => String(h ?? '').trim().toLowerCase() === wanted.toLowerCase());
+    if (byName !== -1) return byName;
+    if (/^\d+$/.test(wanted) && Number(wanted) < width) return Number(wanted);
+    if (/^[a-z]{1,2}$/i.test(wanted) && XLSX.utils.decode_col(wanted.toUpperCase()) < width) {
+        return XLSX.utils.decode_col(wanted.toUpperCase());
+    }
+    throw badRequest(`${label} "${wanted}" not found. Headers are: ${headers.map(h => String(h ?? '')).join(', ')}`);
+}
+
+// Rank every column as a question-number / question-text candidate from its header and its values
+function scoreColumns(headers, dataRows, width) {
+    const sample = dataRows.slice(0, SAMPLE_ROWS);
+    const qNum = [];
+    const qText = [];
+    for (let idx = 0; idx < width; idx++) {
+        const values = sample.map(r => String(r[idx] ?? '').trim()).filter(Boolean);
+        if (values.length === 0) continue;
+        const numRatio = values.filter(v => Q_NUM_VALUE.test(v)).length / values.length;
+        const avgLength = values.reduce((sum, v) => sum + v.length, 0) / values.length;
+        const header = String(headers[idx] ?? '');
+
+        const numScore = (isQNumHeader(header) ? 2 : 0) + numRatio * 2;
+        if (numScore > 0 && avgLength <= 15) qNum.push({ index: idx, header, score: Math.round(numScore * 100) / 100 });
+
+        const textScore = (isQTextHeader(header) ? 2 : 0) + Math.min(avgLength / 40, 1) * 2 - numRatio * 2;
+        if (textScore > 0) qText.push({ index: idx, header, score: Math.round(textScore * 100) / 100 });
+    }
+    qNum.sort((a, b) => b.score - a.score);
+    qText.sort((a, b) => b.score - a.score);
+    return { q_num: qNum, q_text: qText };
+}
+
+// Workbook → the selected sheet as arrays of cells, split at the header row
+function readSheet(buffer, options) {
+    const workbook = readWorkbook(buffer, options.fileName);
+    const sheetName = options.sheet ? String(options.sheet) : workbook.SheetNames[0];
     const worksheet = workbook.Sheets[sheetName];
     
     if (!worksheet) {
+        if (options.sheet) {
+            throw badRequest(`Sheet "${sheetName}" not found. Sheets are: ${workbook.SheetNames.join(', ')}`);
+        }
         throw new Error("No worksheet found in the Excel file");
     }
 
     // Convert to JSON array of arrays (header becomes first row)
     const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-    
-    if (!jsonData || jsonData.length < 2) {
+
+    const headerRow = options.headerRow === undefined || options.headerRow === '' ? 0 : parseInt(options.headerRow, 10);
+    if (isNaN(headerRow) || headerRow < 0) {
+        throw badRequest('headerRow must be a non-negative row index');
+    }
+    if (!jsonData || jsonData.length < headerRow + 2) {
          throw new Error("Excel is empty or missing headers");
     }
 
-    const headers = jsonData[0];
+    const headers = Array.from(jsonData[headerRow] || [], h => h ?? '');
+    const dataRows = jsonData.slice(headerRow + 1).filter(r => r && r.length > 0);
+    const width = Math.max(headers.length, ...dataRows.slice(0, SAMPLE_ROWS).map(r => r.length));
+    return { workbook, sheetName, jsonData, headerRow, headers, dataRows, width };
+}
+
+/**
+ * Only the question text column of a sheet, for callers that do not need numbering or grouping.
+ * Same options as processExcelMerge (qTextColumn is detected when not given).
+ * @returns {{ sheet: string, headers: Array, column: string, questions: Array<{ row: number, text: string }> }}
+ */
+export function readQuestionColumn(buffer, options = {}) {
+    const { sheetName, jsonData, headerRow, headers, dataRows, width } = readSheet(buffer, options);
+    let qTextIdx = resolveColumn(headers, options.qTextColumn, width, 'Question text column');
+    if (qTextIdx === null) {
+        const best = scoreColumns(headers, dataRows, width).q_text[0];
+        if (!best) throw badRequest('Could not detect the question text column; set qTextColumn');
+        qTextIdx = best.index;
+    }
+    const questions = [];
+    for (let i = headerRow + 1; i < jsonData.length; i++) {
+        const text = String((jsonData[i] || [])[qTextIdx] ?? '').trim();
+        if (text) questions.push({ row: i + 1, text });
+    }
+    return { sheet: sheetName, headers, column: String(headers[qTextIdx] ?? ''), questions };
+}
+
+/**
+ * Every non-empty row of a sheet as an object keyed by header (for the question bank import).
+ * @returns {{ sheet: string, headers: string[], rows: Array<object> }}
+ */
+export function readSheetRows(buffer, options = {}) {
+    const { sheetName, jsonData, headerRow, headers } = readSheet(buffer, options);
+    const names = headers.map((h, i) => String(h).trim() || `Column ${i + 1}`);
+    const rows = [];
+    for (let i = headerRow + 1; i < jsonData.length; i++) {
+        const rowArr = jsonData[i] || [];
+        if (!rowArr.some(v => String(v ?? '').trim())) continue;
+        rows.push(Object.fromEntries(names.map((name, j) => [name, rowArr[j] ?? ''])));
+    }
+    return { sheet: sheetName, headers: names, rows };
+}
+
+/**
+ * Parse a question sheet (xlsx / xls / ods / csv / tsv) and group sub-questions under their root number.
+ * @param {object} options - { fileName, sheet, headerRow (0-based, default 0), qNumColumn, qTextColumn };
+ *   columns are a header name, a 0-based index or a letter. Columns that are not given are detected,
+ *   and the ranked `candidates` come back so a caller can confirm the mapping.
+ * Mapping problems (unknown sheet / column, nothing detected) throw errors with status 400.
+ */
+export async function processExcelMerge(buffer, options = {}) {
+    const { workbook, sheetName, jsonData, headerRow, headers, dataRows, width } = readSheet(buffer, options);
     const rows = [];
     rows.headers = headers;
     
-    // Find optimal columns
-    let qNumIdx = -1;
-    let qTextIdx = -1;
-    
-    headers.forEach((h, idx) => {
-        const headerStr = String(h || '').toLowerCase();
-        if (headerStr.includes('no') || headerStr.includes('num') || headerStr === 'q') qNumIdx = idx;
-        if (headerStr.includes('question') || headerStr.includes('text')) qTextIdx = idx;
-    });
-    
-    if (qNumIdx === -1) qNumIdx = 0; 
-    if (qTextIdx === -1) qTextIdx = Math.min(1, headers.length - 1); 
+    // Explicit columns win; otherwise take the best-scoring candidates
+    const candidates = scoreColumns(headers, dataRows, width);
+    let qNumIdx = resolveColumn(headers, options.qNumColumn, width, 'Question number column');
+    let qTextIdx = resolveColumn(headers, options.qTextColumn, width, 'Question text column');
+    if (qNumIdx === null) {
+        const best = candidates.q_num.find(cand => cand.index !== qTextIdx);
+        if (!best) throw badRequest('Could not detect the question number column; set qNumColumn');
+        qNumIdx = best.index;
+    }
+    if (qTextIdx === null) {
+        const best = candidates.q_text.find(cand => cand.index !== qNumIdx);
+        if (!best) throw badRequest('Could not detect the question text column; set qTextColumn');
+        qTextIdx = best.index;
+    }
+
+    const paperColumns = Object.entries(PAPER_COLUMNS)
+        .map(([name, keys]) => ({ name, index: headers.findIndex(h => keys.includes(normalizeKey(h))) }))
+        .filter(col => col.index !== -1 && col.index !== qNumIdx && col.index !== qTextIdx);
 
-    for (let i = 1; i < jsonData.length; i++) {
+    for (let i = headerRow + 1; i < jsonData.length; i++) {
         const rowArr = jsonData[i];
         
         // Skip empty rows
         if (!rowArr || rowArr.length === 0) continue;
         
-        const qNum = String(rowArr[qNumIdx] || '').trim();
-        const qText = String(rowArr[qTextIdx] || '').trim();
+        const qNum = String(rowArr[qNumIdx] ?? '').trim();
+        const qText = String(rowArr[qTextIdx] ?? '').trim();
         
         if (qNum || qText) {
-            const rootMatch = qNum.match(/^(\d+)/);
-            const rootNum = rootMatch ? rootMatch[1] : qNum;
-            
             rows.push({
                 original_row: i + 1,
-                root_num: rootNum,
                 q_num: qNum,
                 q_text: qText,
+                numbering: parseQuestionNumber(qNum),
+                paper: paperColumns.map(col => String(rowArr[col.index] ?? '').trim()),
                 full_data: rowArr // array format
             });
         }
     }
 
-    // Group by contiguous Blocks (resetting when root number goes backwards or stays same across papers)
+    const { groups, orderedRoots, warnings } = groupRows(rows, paperColumns.length > 0);
+
+    return {
+        headers: rows.headers,
+        sheet: sheetName,
+        sheets: workbook.SheetNames,
+        headerRow,
+        mapping: {
+            qNumIndex: qNumIdx,
+            qNumColumn: String(headers[qNumIdx] ?? ''),
+            qTextIndex: qTextIdx,
+            qTextColumn: String(headers[qTextIdx] ?? '')
+        },
+        candidates,
+        groups,
+        orderedRoots, // Keep the same variable name for compatibility in index.js
+        paperColumns: paperColumns.map(col => String(headers[col.index])),
+        warnings,
+        totalParsed: rows.length
+    };
+}
+
+/**
+ * Group rows into blocks (papers) and, within a block, under their root question number.
+ * A new block starts when the Paper / Month Year / University values change (when those columns
+ * exist), when the root number drops, or when a root repeats with its subparts starting over.
+ * Sections ("Section B") keep the block but get their own groups, since numbering restarts in them.
+ * Rows whose grouping was a guess carry `warnings`; the same notes are returned as a flat list.
+ */
+function groupRows(rows, hasPaperColumns) {
     const groups = {};
     const orderedRoots = [];
-    
-    let currentBlockId = 1;
-    let lastRootNum = 0;
+    const warnings = [];
 
-    rows.forEach(r => {
-        // Convert to integer for accurate numerical comparison (e.g., 10 > 9, not string '10' < '9')
-        const currentRootNum = parseInt(r.root_num, 10);
-        
-        // If the current root number drops (e.g., 10 -> 1) or stays exactly the same but isn't a subquestion
-        // it means we've hit a new question paper block.
-        if (!isNaN(currentRootNum) && currentRootNum <= lastRootNum) {
-            // Only increment block if it genuinely dropped backwards, 
-            // OR if it's the exact same root number but we are forcing a split.
-            // Note: Since subquestions (1a, 1b) share the same root_num, currentRootNum == lastRootNum 
-            // is expected WITHIN a block. So we only break if it STRICTLY drops (current < last).
-            if (currentRootNum < lastRootNum) {
-                currentBlockId++;
+    let block = 1;
+    let section = null;
+    let paperValues = null;
+    let lastRoot = null;      // { root, style }
+    let lastParts = null;     // Subparts of the previous numbered row of lastRoot
+    let currentGroupId = null;
+    let headingCount = 0;
+
+    const startBlock = () => {
+        block++;
+        section = null;
+        lastRoot = null;
+        lastParts = null;
+    };
+
+    rows.forEach(row => {
+        const notes = [];
+        const num = row.numbering;
+
+        if (hasPaperColumns) {
+            // Carry the last non-empty value per column; only a real change starts a new paper
+            const values = paperValues ? row.paper.map((v, i) => v || paperValues[i]) : row.paper;
+            if (paperValues && values.some((v, i) => v !== paperValues[i])) {
+                startBlock();
             }
+            paperValues = values;
         }
-        
-        // Update lastRootNum tracking regardless
-        if (!isNaN(currentRootNum)) {
-            lastRootNum = currentRootNum;
+
+        let root = num.root;
+        let parts = num.parts;
+        // "ii" straight after question 1 is subpart (ii) of it, not question II
+        if (num.rootStyle === 'roman' && lastRoot && lastRoot.style === 'arabic' && parts.length === 0) {
+            parts = [row.q_num.replace(/[^a-z]/gi, '').toLowerCase()];
+            root = null;
+            notes.push(`"${row.q_num}" read as a subpart of question ${lastRoot.root}`);
+        }
+
+        if (num.section) {
+            section = num.section;
+            lastRoot = null;
+            lastParts = null;
+            headingCount++;
+            currentGroupId = `block_${block}_sec_${section}_heading_${headingCount}`;
+        } else if (root !== null) {
+            if (lastRoot && root < lastRoot.root) {
+                if (hasPaperColumns) notes.push(`Numbering restarts at ${row.q_num} within the same paper; started a new group block`);
+                startBlock();
+            } else if (lastRoot && root === lastRoot.root && restartsSubparts(parts, lastParts)) {
+                notes.push(`Question ${row.q_num} repeats the previous question number; assumed a new paper`);
+                startBlock();
+            }
+            lastRoot = { root, style: num.rootStyle };
+            lastParts = parts;
+            currentGroupId = `block_${block}${section ? `_sec_${section}` : ''}_root_${root}`;
+        } else if (parts.length > 0 || num.unreadable || !row.q_num) {
+            if (num.unreadable) notes.push(`Could not read question number "${row.q_num}"`);
+            if (currentGroupId && lastRoot) {
+                if (!row.q_num) notes.push(`No question number; grouped with question ${lastRoot.root}`);
+                else if (num.unreadable) notes.push(`Grouped with question ${lastRoot.root}`);
+                if (parts.length > 0) lastParts = parts;
+            } else {
+                headingCount++;
+                currentGroupId = `block_${block}${section ? `_sec_${section}` : ''}_unnumbered_${headingCount}`;
+                notes.push('No preceding question to attach this row to; kept as its own group');
+            }
+        }
+
+        row.root_num = root !== null ? String(root) : (lastRoot ? String(lastRoot.root) : '');
+        row.group_id = currentGroupId;
+        if (notes.length > 0) {
+            row.warnings = notes;
+            warnings.push({ original_row: row.original_row, q_num: row.q_num, group_id: currentGroupId, warnings: notes });
         }
 
-        // Unique Group ID = Block # + Root Number
-        const currentGroupId = `block_${currentBlockId}_root_${r.root_num}`;
-        
         if (!groups[currentGroupId]) {
             orderedRoots.push(currentGroupId);
             groups[currentGroupId] = [];
         }
-        
-        groups[currentGroupId].push(r);
+        groups[currentGroupId].push(row);
     });
 
-    return {
-        headers: rows.headers,
-        groups,
-        orderedRoots, // Keep the same variable name for compatibility in index.js
-        totalParsed: rows.length
-    };
+    return { groups, orderedRoots, warnings };
 }
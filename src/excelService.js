@@ -1,10 +1,10 @@
 import * as XLSX from 'xlsx';
 
-export async function generateExcel(data) {
+export async function generateExcel(data, sheetName = 'Extracted Data') {
     // Generate a simple workbook buffer
     if (!data || data.length === 0) {
         const wb = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet([{}]), "Extracted Data");
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet([{}]), sheetName);
         return ExcelToBuffer(wb);
     }
 
@@ -12,7 +12,7 @@ export async function generateExcel(data) {
 
     // Get all unique keys from all objects (json_to_sheet handles this somewhat, but we can verify)
     const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'Extracted Data');
+    XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
 
     // Return ArrayBuffer or Buffer. SheetJS writes base64 or array directly.
     return ExcelToBuffer(workbook);
@@ -22,3 +22,124 @@ function ExcelToBuffer(wb) {
      const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
      return Buffer.from(wbout);
 }
+
+// Repeat report (see repeatReport.js): one row per topic, lists joined with commas
+export function generateRepeatReportExcel(report) {
+    const header = ['Rank', 'Topic', 'Times Asked', 'Occurrences', 'Month Year', 'Universities', 'Papers', 'Subjects', 'Question Variants'];
+    const rows = report.topics.map(t => [
+        t.rank,
+        t.topic,
+        t.times_asked,
+        t.occurrences,
+        t.month_years.join(', '),
+        t.universities.join(', '),
+        t.papers.join(', '),
+        t.subjects.join(', '),
+        t.variants.join(' | ')
+    ]);
+
+    const worksheet = XLSX.utils.aoa_to_sheet([header, ...rows]);
+    worksheet['!cols'] = [{ wch: 6 }, { wch: 60 }, { wch: 12 }, { wch: 12 }, { wch: 30 }, { wch: 30 }, { wch: 20 }, { wch: 20 }, { wch: 80 }];
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Repeated Topics');
+    return ExcelToBuffer(workbook);
+}
+
+// ── Restored workbook (/api/build-excel) ────────────────────────────────────
+
+const MAX_CELL_TEXT = 32767;
+
+// Column widths from the longest line in each column, within [8, 80] characters
+function fitColumns(aoa) {
+    const widths = [];
+    for (const row of aoa) {
+        row.forEach((value, i) => {
+            const longest = Math.max(...String(value ?? '').split(/\r?\n/).map(line => line.length));
+            widths[i] = Math.max(widths[i] || 0, longest);
+        });
+    }
+    return Array.from(widths, w => ({ wch: Math.min(Math.max((w || 0) + 2, 8), 80) }));
+}
+
+function tableSheet(aoa) {
+    const worksheet = XLSX.utils.aoa_to_sheet(aoa);
+    worksheet['!cols'] = fitColumns(aoa);
+    worksheet['!autofilter'] = { ref: worksheet['!ref'] };
+    return worksheet;
+}
+
+function countBy(rows, index) {
+    const counts = new Map();
+    rows.forEach(row => {
+        const value = String(row[index] ?? '').trim() || '(blank)';
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+// SheetJS (community) always writes a plain <sheetView>; the header row is frozen by rewriting
+// that element in the finished zip. Sheet N of the workbook is xl/worksheets/sheetN.xml.
+function freezeHeaderRows(bytes, sheetNumbers) {
+    const zip = XLSX.CFB.read(bytes, { type: 'array' });
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    const pane = '<sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+        '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/></sheetView>';
+    for (const n of sheetNumbers) {
+        const entry = XLSX.CFB.find(zip, `/xl/worksheets/sheet${n}.xml`);
+        if (!entry) continue;
+        const xml = decoder.decode(entry.content).replace(/<sheetView workbookViewId="0"\/>/, pane);
+        entry.content = encoder.encode(xml);
+        entry.size = entry.content.length;
+    }
+    return new Uint8Array(XLSX.CFB.write(zip, { fileType: 'zip', type: 'array', compression: true }));
+}
+
+/**
+ * Reviewer workbook for restored questions. Sheets, in order:
+ *   AI Restored Questions  — every row (first, so tools that read the first sheet still see the data)
+ *   Modified               — rows whose Modification Check starts with "⚠️ Modified"
+ *   Incomplete - Restored  — rows the AI marked Incomplete
+ *   Summary                — counts by Completion Status and Modification Check, model and prompt
+ * Table sheets have a frozen header row, autofilter and fitted column widths. The filtered sheets
+ * lead with the row's number in the main sheet.
+ * @param {string[]} headers - including the Completion Status / Restored Question / Modification Check columns
+ * @param {Array<Array>} rows - one array per question, in header order
+ * @param {object} summary - { model, prompt: { label, text }, builtBy, builtAt }
+ */
+export function generateRestoredWorkbook(headers, rows, summary = {}) {
+    const statusIndex = headers.length - 3;
+    const checkIndex = headers.length - 1;
+    const numbered = rows.map((row, i) => [i + 2, ...row]);
+    const modified = numbered.filter(row => String(row[checkIndex + 1] ?? '').startsWith('⚠️ Modified'));
+    const incomplete = numbered.filter(row => row[statusIndex + 1] === 'Incomplete');
+
+    const summaryRows = [
+        ['Item', 'Value'],
+        ['Total rows', rows.length],
+        ['Modified (AI changed a Complete question)', modified.length],
+        ['Incomplete', incomplete.length],
+        ['Model', summary.model || 'unknown'],
+        ['Prompt', summary.prompt?.label || 'unknown'],
+        ['Prompt text', String(summary.prompt?.text || '').slice(0, MAX_CELL_TEXT)],
+        ['Built by', summary.builtBy || ''],
+        ['Built at', summary.builtAt || ''],
+        [],
+        ['Completion Status (AI)', 'Rows'],
+        ...countBy(rows, statusIndex),
+        [],
+        ['Modification Check', 'Rows'],
+        ...countBy(rows, checkIndex)
+    ];
+    const summarySheet = XLSX.utils.aoa_to_sheet(summaryRows);
+    summarySheet['!cols'] = [{ wch: 45 }, { wch: 100 }];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, tableSheet([headers, ...rows]), 'AI Restored Questions');
+    XLSX.utils.book_append_sheet(workbook, tableSheet([['Row', ...headers], ...modified]), 'Modified');
+    XLSX.utils.book_append_sheet(workbook, tableSheet([['Row', ...headers], ...incomplete]), 'Incomplete - Restored');
+    XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+
+    const bytes = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    return freezeHeaderRows(new Uint8Array(bytes), [1, 2, 3, 4]);
+}
@@ -0,0 +1,249 @@
+import * as XLSX from 'xlsx';
+import { generateExcel } from './excelService.js';
+import { XLSX_CONTENT_TYPE } from './generatedFiles.js';
+import { fieldValue, columnField } from './questionBank.js';
+import { normalizeKey } from './rowKeys.js';
+
+// Export formats for /api/download-excel and /api/build-excel besides the default xlsx:
+//   csv   — UTF-8 with a BOM so Excel detects the encoding, CRLF line endings
+//   jsonl — one JSON object per row
+//   md    — a Markdown table
+//   docx  — a question paper: rows grouped by Paper, then Section, each question under its own
+//           S.No / Q No as written; the restored or merged question is printed when there is one
+// `columns` (array or comma-separated names) picks and orders the columns; names match loosely
+// ("s no" finds "S.No"). In docx the chosen columns other than number, question, paper and
+// section are printed under each question.
+
+export const EXPORT_FORMATS = {
+    xlsx: { contentType: XLSX_CONTENT_TYPE, extension: 'xlsx' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' }
+};
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+export function checkExportFormat(format) {
+    if (!EXPORT_FORMATS[format]) {
+        throw badRequest(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+}
+
+/**
+ * Header row + data rows → row objects. Blank headers become "Column N" and repeated ones get
+ * " (2)", " (3)" ... so no value is lost.
+ */
+export function rowsFromTable(headers, dataRows) {
+    const seen = new Map();
+    const names = headers.map((h, i) => {
+        const base = String(h ?? '').trim() || `Column ${i + 1}`;
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        return count > 1 ? `${base} (${count})` : base;
+    });
+    return dataRows.map(row => Object.fromEntries(names.map((name, i) => [name, row[i] ?? ''])));
+}
+
+/**
+ * The columns to export, in order: every key seen in the rows (first-seen order) or the
+ * caller's `columns`. An unknown column is a 400 error listing the available ones.
+ */
+export function selectColumns(rows, columns) {
+    const available = [];
+    for (const row of rows) {
+        for (const key of Object.keys(row)) if (!available.includes(key)) available.push(key);
+    }
+    const wanted = Array.isArray(columns) ? columns : String(columns ?? '').split(',');
+    const names = wanted.map(c => String(c).trim()).filter(Boolean);
+    if (names.length === 0) return available;
+
+    const selected = [];
+    for (const name of names) {
+        const match = available.find(k => k === name) || available.find(k => normalizeKey(k) === normalizeKey(name));
+        if (!match) throw badRequest(`Unknown column "${name}". Columns are: ${available.join(', ')}`);
+        if (!selected.includes(match)) selected.push(match);
+    }
+    return selected;
+}
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function csvCell(value) {
+    const str = cellText(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(rows, columns) {
+    const lines = [columns.map(csvCell).join(',')];
+    rows.forEach(row => lines.push(columns.map(col => csvCell(row[col])).join(',')));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function toJsonLines(rows, columns) {
+    return rows.map(row => JSON.stringify(Object.fromEntries(columns.map(col => [col, row[col] ?? null])))).join('\n') + '\n';
+}
+
+function markdownCell(value) {
+    return cellText(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function toMarkdown(rows, columns) {
+    const lines = [
+        `| ${columns.map(markdownCell).join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${columns.map(col => markdownCell(row[col])).join(' | ')} |`)
+    ];
+    return lines.join('\n') + '\n';
+}
+
+// ── DOCX ────────────────────────────────────────────────────────────────────
+
+function xmlText(value) {
+    return cellText(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// One run per line so line breaks inside a question survive
+function run(text, props = '') {
+    const lines = cellText(text).split(/\r?\n/);
+    const body = lines.map((line, i) => `${i > 0 ? '<w:br/>' : ''}<w:t xml:space="preserve">${xmlText(line)}</w:t>`).join('');
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${body}</w:r>`;
+}
+
+function paragraph(runs, props = '') {
+    return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+const PAGE_BREAK = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+
+function numberLabel(value) {
+    return /^\d+$/.test(value) ? `${value}.` : value;
+}
+
+// Paper → Section → rows, in order of first appearance; blank paper / section cells continue the previous row's
+function groupForPaper(rows) {
+    const papers = new Map();
+    let paper = '';
+    let section = '';
+    for (const row of rows) {
+        const rowPaper = fieldValue(row, 'paper');
+        if (rowPaper && rowPaper !== paper) {
+            paper = rowPaper;
+            section = '';
+        }
+        section = fieldValue(row, 'section') || section;
+        if (!papers.has(paper)) papers.set(paper, { first: row, sections: new Map() });
+        const sections = papers.get(paper).sections;
+        if (!sections.has(section)) sections.set(section, []);
+        sections.get(section).push(row);
+    }
+    return papers;
+}
+
+function documentXml(rows, detailColumns) {
+    const body = [];
+    const papers = groupForPaper(rows);
+    let first = true;
+    for (const [paper, { first: firstRow, sections }] of papers) {
+        if (!first) body.push(PAGE_BREAK);
+        first = false;
+
+        body.push(paragraph(run(paper || 'Questions', '<w:b/><w:sz w:val="32"/>'), '<w:jc w:val="center"/><w:spacing w:after="120"/>'));
+        const details = ['university', 'subject', 'month_year', 'type'].map(f => fieldValue(firstRow, f)).filter(Boolean);
+        if (details.length > 0) {
+            body.push(paragraph(run(details.join(' · '), '<w:i/>'), '<w:jc w:val="center"/><w:spacing w:after="240"/>'));
+        }
+
+        for (const [section, sectionRows] of sections) {
+            if (section) {
+                const heading = /^(section|part)\b/i.test(section) ? section : `Section ${section}`;
+                body.push(paragraph(run(heading, '<w:b/><w:sz w:val="26"/>'), '<w:spacing w:before="240" w:after="120"/>'));
+            }
+            for (const row of sectionRows) {
+                const label = fieldValue(row, 'q_num');
+                const runs = label
+                    ? `${run(numberLabel(label), '<w:b/>')}<w:r><w:tab/></w:r>${run(fieldValue(row, 'question'))}`
+                    : run(fieldValue(row, 'question'));
+                body.push(paragraph(runs, `<w:spacing w:after="${detailColumns.length > 0 ? 0 : 120}"/><w:ind w:left="720" w:hanging="720"/>`));
+
+                const extra = detailColumns.filter(col => cellText(row[col]).trim()).map(col => `${col}: ${cellText(row[col]).trim()}`);
+                if (detailColumns.length > 0) {
+                    body.push(paragraph(extra.length > 0 ? run(extra.join(' · '), '<w:i/><w:color w:val="666666"/><w:sz w:val="18"/>') : '', '<w:spacing w:after="120"/><w:ind w:left="720"/>'));
+                }
+            }
+        }
+    }
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+        body.join('') +
+        '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>' +
+        '</w:body></w:document>';
+}
+
+const CONTENT_TYPES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '</Types>';
+
+const RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '</Relationships>';
+
+// A docx is a zip of XML parts; SheetJS's bundled CFB writes the zip
+function toDocx(rows, detailColumns) {
+    const encoder = new TextEncoder();
+    const zip = XLSX.CFB.utils.cfb_new({ root: 'R' });
+    XLSX.CFB.utils.cfb_add(zip, '[Content_Types].xml', encoder.encode(CONTENT_TYPES_XML));
+    XLSX.CFB.utils.cfb_add(zip, '_rels/.rels', encoder.encode(RELS_XML));
+    XLSX.CFB.utils.cfb_add(zip, 'word/document.xml', encoder.encode(documentXml(rows, detailColumns)));
+    return new Uint8Array(XLSX.CFB.write(zip, { fileType: 'zip', type: 'array', compression: true }));
+}
+
+const DOCX_ROLE_FIELDS = ['q_num', 'question', 'paper', 'section'];
+
+/**
+ * Render rows in one of EXPORT_FORMATS.
+ * @param {Array<object>} rows
+ * @param {object} options - { format, columns, filename (without extension), sheetName (xlsx) }
+ * @returns {Promise<{ bytes: Uint8Array, contentType: string, filename: string }>}
+ */
+export async function exportRows(rows, { format = 'xlsx', columns, filename = 'export', sheetName } = {}) {
+    checkExportFormat(format);
+    const selected = selectColumns(rows, columns);
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const encoder = new TextEncoder();
+
+    let bytes;
+    if (format === 'xlsx') {
+        const projected = rows.map(row => Object.fromEntries(selected.map(col => [col, row[col] ?? ''])));
+        bytes = new Uint8Array(await generateExcel(projected, sheetName));
+    } else if (format === 'csv') {
+        bytes = encoder.encode(toCsv(rows, selected));
+    } else if (format === 'jsonl') {
+        bytes = encoder.encode(toJsonLines(rows, selected));
+    } else if (format === 'md') {
+        bytes = encoder.encode(toMarkdown(rows, selected));
+    } else {
+        // Only columns the caller picked are printed as details; the question itself always is
+        const picked = Array.isArray(columns) ? columns.length > 0 : Boolean(String(columns ?? '').trim());
+        const details = picked ? selected.filter(col => !DOCX_ROLE_FIELDS.includes(columnField(col))) : [];
+        bytes = toDocx(rows, details);
+    }
+    return { bytes, contentType, filename: `${filename}.${extension}` };
+}
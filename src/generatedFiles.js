@@ -0,0 +1,64 @@
+import crypto from 'node:crypto';
+
+// Generated workbooks live in the GENERATED_FILES R2 bucket; D1 only keeps their metadata
+// (owner, size, filename, expiry). Expired files are purged by the scheduled handler.
+
+const DEFAULT_TTL_HOURS = 24;
+
+export const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function getTtlHours(env) {
+    const hours = parseFloat(env.GENERATED_FILE_TTL_HOURS ?? DEFAULT_TTL_HOURS);
+    return isNaN(hours) || hours <= 0 ? DEFAULT_TTL_HOURS : hours;
+}
+
+/**
+ * Store a generated file and return its download id.
+ * @param {object} file - { accountId, ownerEmail, filename, contentType, bytes }
+ */
+export async function saveGeneratedFile(env, { accountId, ownerEmail, filename, contentType = XLSX_CONTENT_TYPE, bytes }) {
+    const id = crypto.randomUUID();
+    const r2Key = `${accountId}/${id}`;
+    const body = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+
+    await env.GENERATED_FILES.put(r2Key, body, {
+        httpMetadata: { contentType, contentDisposition: `attachment; filename=${filename}` }
+    });
+    await env.DB.prepare(`
+        INSERT INTO generated_files (id, account_id, owner_email, filename, content_type, size_bytes, r2_key, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, DATETIME('now', ?))
+    `).bind(id, accountId, ownerEmail, filename, contentType, body.byteLength, r2Key, `+${getTtlHours(env) * 60} minutes`).run();
+
+    return id;
+}
+
+// Metadata row plus an `expired` flag, or null when the id is unknown
+export async function getGeneratedFileMeta(env, id) {
+    return env.DB.prepare(
+        "SELECT *, expires_at <= DATETIME('now') AS expired FROM generated_files WHERE id = ?"
+    ).bind(id).first();
+}
+
+export async function readGeneratedFile(env, meta) {
+    return env.GENERATED_FILES.get(meta.r2_key);
+}
+
+// Deletes expired objects and their metadata in chunks (R2 deletes at most 1000 keys per call)
+export async function purgeExpiredFiles(env) {
+    let purged = 0;
+    while (true) {
+        const { results } = await env.DB.prepare(
+            "SELECT id, r2_key FROM generated_files WHERE expires_at <= DATETIME('now') LIMIT 500"
+        ).all();
+        if (!results || results.length === 0) break;
+
+        await env.GENERATED_FILES.delete(results.map(r => r.r2_key));
+        const placeholders = results.map(() => '?').join(', ');
+        await env.DB.prepare(`DELETE FROM generated_files WHERE id IN (${placeholders})`)
+            .bind(...results.map(r => r.id))
+            .run();
+        purged += results.length;
+    }
+    console.log(`Purged ${purged} expired generated file(s)`);
+    return purged;
+}
@@ -1,26 +1,50 @@
 import { Hono } from 'hono';
 import { stream } from 'hono/streaming';
 import { cors } from 'hono/cors';
-import { extractFromPdf, chatWithGemini } from './vertexAi.js';
-import { generateExcel } from './excelService.js';
-import { Buffer } from 'node:buffer';
-import crypto from 'node:crypto';
+import { chatWithModel, modelFor, embeddingModelFor, DEFAULT_MODEL } from './llm.js';
+import { generateExcel, generateRepeatReportExcel, generateRestoredWorkbook } from './excelService.js';
+import { exportRows, rowsFromTable, checkExportFormat } from './exportFormats.js';
+import { extractInWindows, DEFAULT_PAGE_WINDOW } from './pdfWindows.js';
+import { ROLES, accessAuth, requireRole, hasRole, resolveCorsOrigin } from './auth.js';
+import { resolveAccount, listAccountsForUser } from './accounts.js';
+import { PRICING_JOIN, COST_SQL, fetchUsageLedger, ledgerToCsv } from './analytics.js';
+import { saveGeneratedFile, getGeneratedFileMeta, readGeneratedFile, purgeExpiredFiles } from './generatedFiles.js';
+import { PROMPT_KINDS, recordPromptVersion, ensureBaselineVersion, listPromptVersions, getPromptVersion, getPromptVersionById, getLatestPromptVersion, findPromptVersionId, diffLines } from './promptVersions.js';
+import { collectTemplateVariables, listTemplateVariables, renderPromptTemplate, missingVariablesMessage } from './promptTemplates.js';
+import { classifyPaper, selectPrompt } from './promptSelection.js';
+import { restoreWithValidation } from './restoreValidation.js';
+import { sortWithValidation } from './sorterValidation.js';
+import { clusterQuestions, DEFAULT_CLUSTER_THRESHOLD, MAX_CLUSTER_QUESTIONS } from './questionClustering.js';
+import { listFixtures } from './llmFixtures.js';
+import { getCircuitStates } from './llmClient.js';
+import { enforceBudget, budgetWarning, getBudgetStatus, listBudgets, upsertBudget } from './budgets.js';
+import { JOB_STATUS, createJob, markJobRunning, touchJob, completeJob, failJob, getJob, listJobs, saveJobInput, loadJobInput, deleteJobInput } from './jobs.js';
+import { importQuestions, searchQuestions, listPapers } from './questionBank.js';
+import { findSeenBefore, embedMissingQuestions } from './repeatMatcher.js';
+import { saveRepeatTopics, buildRepeatReport } from './repeatReport.js';
 
 const app = new Hono();
 
 app.use('*', cors({
-    origin: '*',
-    allowHeaders: ['Content-Type', 'Authorization', 'Cf-Access-Authenticated-User-Email', 'X-User-Email'],
-    allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
+    origin: (origin, c) => resolveCorsOrigin(origin, c.env),
+    credentials: true,
+    allowHeaders: ['Content-Type', 'Authorization', 'Cf-Access-Jwt-Assertion', 'X-User-Email', 'X-Account-Id'],
+    allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    exposeHeaders: ['X-Budget-Warning']
 }));
 // Global Error Handler to ensure CORS headers are always present
 app.onError((err, c) => {
     console.error('Unhandled Error:', err);
-    // Explicitly add CORS headers for browsers
+    // Explicitly add CORS headers for browsers (allowlisted origins only)
     const headers = new Headers();
-    headers.set('Access-Control-Allow-Origin', '*');
+    const allowOrigin = resolveCorsOrigin(c.req.header('Origin'), c.env);
+    if (allowOrigin) {
+        headers.set('Access-Control-Allow-Origin', allowOrigin);
+        headers.set('Access-Control-Allow-Credentials', 'true');
+        headers.set('Vary', 'Origin');
+    }
     headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, Cf-Access-Authenticated-User-Email');
+    headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, Cf-Access-Jwt-Assertion, X-Account-Id');
 
     return c.json({
         error: 'Internal Server Error',
@@ -29,14 +53,35 @@ app.onError((err, c) => {
     }, 500, Object.fromEntries(headers));
 });
 
+// Every API route needs a verified Cloudflare Access identity; admin routes need the admin role
+app.use('/api/*', accessAuth());
+app.use('/api/*', resolveAccount({ exempt: ['/api/accounts', '/api/admin/accounts', '/api/admin/users'] }));
+app.use('/api/admin/*', requireRole(ROLES.ADMIN));
+
+function getUserEmail(c) {
+    return c.get('user').email;
+}
+
+function getAccountId(c) {
+    return c.get('account').id;
+}
+
 // Helper to get user email and log usage
-async function logUsage(env, c, eventType, tokens, fileCount = 0) {
+// Pass options.userEmail / options.accountId when there is no request context (background jobs, SSE streams).
+// options.model is the model spec that produced the tokens (see llm.js; priced via model_pricing).
+// Rows carrying options.jobId are written at most once per job.
+// options.promptVersionId points at the prompt_versions row whose text produced the tokens.
+async function logUsage(env, c, eventType, tokens, fileCount = 0, options = {}) {
     try {
-        const userEmail = c.req.header('X-User-Email') || c.req.header('Cf-Access-Authenticated-User-Email') || 'anonymous@internal.com';
+        const userEmail = options.userEmail || getUserEmail(c);
+        const accountId = options.accountId || getAccountId(c);
+        const model = options.model || DEFAULT_MODEL;
+        const jobId = options.jobId || null;
+        const promptVersionId = options.promptVersionId || null;
         await env.DB.prepare(
-            'INSERT INTO usage_logs (user_email, event_type, token_input, token_output, token_total, file_count, account_name) VALUES (?, ?, ?, ?, ?, ?, ?)'
+            `INSERT ${jobId ? 'OR IGNORE ' : ''}INTO usage_logs (user_email, event_type, model, token_input, token_output, token_total, file_count, account_id, job_id, prompt_version_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
         )
-            .bind(userEmail, eventType, tokens.input || 0, tokens.output || 0, tokens.total || 0, fileCount, 'Kumarmdkhare')
+            .bind(userEmail, eventType, model, tokens.input || 0, tokens.output || 0, tokens.total || 0, fileCount, accountId, jobId, promptVersionId)
             .run();
     } catch (error) {
         console.error('Logging error:', error);
@@ -47,12 +92,13 @@ app.get('/', (c) => {
     return c.json({ status: 'API is running', version: '2.0.1 (Cloudflare Native)' });
 });
 
-// Test Endpoint for Vertex AI
-app.get('/api/test-vertex', async (c) => {
+// Test Endpoint for Vertex AI (or whichever provider ?model= / LLM_DEFAULT_MODEL selects)
+app.get('/api/test-vertex', requireRole(ROLES.ADMIN), async (c) => {
     try {
-        const text = 'Say hello in 5 words.';
-        const result = await extractFromPdf(null, text, c.env);
-        return c.json({ success: true, result });
+        const model = modelFor(c.env, 'chat', c.req.query('model'));
+        const messages = [{ role: 'user', content: 'Say hello in 5 words.' }];
+        const result = await chatWithModel(messages, [], null, c.env, model);
+        return c.json({ success: true, model, fixture_mode: c.env.LLM_FIXTURE_MODE || 'off', result });
     } catch (error) {
         return c.json({
             success: false,
@@ -67,8 +113,137 @@ app.get('/api/test-vertex', async (c) => {
     }
 });
 
-// Extract PDF Data
-app.post('/api/extract', async (c) => {
+// Extraction Jobs
+// Runs one extraction in the background and records the outcome on the job row.
+// Never throws: the error is returned so the synchronous mode can report it.
+const JOB_MAX_ATTEMPTS = 2;
+
+async function runExtractionJob(env, jobId, { pdfBytes, customPrompt, temperature, model, pageWindow, userEmail, accountId, promptVersionId }) {
+    let lastError;
+    for (let attempt = 1; attempt <= JOB_MAX_ATTEMPTS; attempt++) {
+        try {
+            await markJobRunning(env, jobId);
+            const result = await extractInWindows(pdfBytes, customPrompt, temperature, env, model, pageWindow, {
+                onWindow: () => touchJob(env, jobId)
+            });
+            const { usage } = result;
+            await completeJob(env, jobId, result);
+
+            // Log usage for analytics (keyed by job id, so a re-run job is only counted once)
+            await logUsage(env, null, 'extraction', {
+                input: usage.promptTokenCount,
+                output: usage.candidatesTokenCount,
+                total: usage.totalTokenCount
+            }, 1, { userEmail, accountId, model, jobId, promptVersionId });
+
+            return result;
+        } catch (error) {
+            lastError = error;
+            console.error(`Extraction job ${jobId} attempt ${attempt}/${JOB_MAX_ATTEMPTS} failed:`, error);
+        }
+    }
+
+    try {
+        await failJob(env, jobId, lastError);
+    } catch (e) {
+        console.error(`Could not mark extraction job ${jobId} as failed:`, e);
+    }
+    return { error: lastError };
+}
+
+// Prompt text and template variables for /api/extract and /api/prompts/preview. A stored prompt's
+// own university/state are used unless the request supplies them; `detected` (from auto mode)
+// fills whatever is still missing.
+async function loadPromptTemplate(c, body, detected = null) {
+    let content = body.prompt ?? body.content;
+    let defaults = null;
+    if (body.promptId) {
+        const row = await c.env.DB.prepare('SELECT * FROM prompts WHERE id = ? AND account_id = ?')
+            .bind(body.promptId, getAccountId(c))
+            .first();
+        if (!row) return { error: 'Prompt not found', status: 404 };
+        content = row.content;
+        defaults = { university: row.university, state: row.state };
+    }
+    try {
+        return { content, variables: collectTemplateVariables(detected, defaults, body) };
+    } catch (e) {
+        return { error: e.message, status: 400 };
+    }
+}
+
+// Auto prompt mode: classify the paper (billed as 'prompt_classification') and pick a stored prompt.
+// university / state / type form fields act as hints that win over what was detected.
+async function autoSelectPrompt(c, pdfBytes, body) {
+    const model = modelFor(c.env, 'classify', body.classifyModel);
+    const { detected, usage } = await classifyPaper(pdfBytes, c.env, model);
+    await logUsage(c.env, c, 'prompt_classification', {
+        input: usage.promptTokenCount,
+        output: usage.candidatesTokenCount,
+        total: usage.totalTokenCount
+    }, 1, { model });
+
+    const selection = await selectPrompt(c.env, getAccountId(c), detected, { university: body.university, state: body.state, type: body.type });
+    return {
+        mode: 'auto',
+        prompt_id: selection.prompt ? selection.prompt.id : null,
+        prompt_name: selection.prompt ? selection.prompt.name : null,
+        score: selection.score,
+        reasons: selection.reasons,
+        detected,
+        candidates: selection.candidates
+    };
+}
+
+// Request parsing shared by /api/extract and /api/extract/stream: validates the upload and options,
+// resolves the prompt (auto / stored / inline) and renders its template.
+// Returns { response } when the request must be answered with an error instead.
+async function prepareExtraction(c, body) {
+    const pdfFile = body.file; // Matches frontend
+    const temperature = body.temperature !== undefined ? parseFloat(body.temperature) : 0.0;
+    const model = modelFor(c.env, 'extract', body.model);
+
+    if (!pdfFile || !(pdfFile instanceof File)) {
+        return { response: c.json({ error: 'No file uploaded' }, 400) };
+    }
+
+    const pageWindow = parseInt(body.pageWindow ?? c.env.EXTRACT_PAGE_WINDOW ?? DEFAULT_PAGE_WINDOW, 10);
+    if (isNaN(pageWindow) || pageWindow < 0) {
+        return { response: c.json({ error: 'pageWindow must be a non-negative number of pages' }, 400) };
+    }
+
+    const userEmail = getUserEmail(c);
+    const accountId = getAccountId(c);
+    const pdfBytes = new Uint8Array(await pdfFile.arrayBuffer());
+
+    let promptSelection = null;
+    let template;
+    if (body.promptId === 'auto') {
+        promptSelection = await autoSelectPrompt(c, pdfBytes, body);
+        template = await loadPromptTemplate(c, { ...body, promptId: promptSelection.prompt_id || undefined }, promptSelection.detected);
+    } else {
+        template = await loadPromptTemplate(c, body);
+    }
+    if (template.error) return { response: c.json({ error: template.error }, template.status) };
+    const { text: customPrompt, missing } = renderPromptTemplate(template.content, template.variables);
+    if (missing.length > 0) {
+        return { response: c.json({ error: 'Missing prompt variables', details: missingVariablesMessage(missing), missing, prompt_selection: promptSelection }, 400) };
+    }
+
+    const promptVersionId = await findPromptVersionId(c.env, accountId, template.content);
+    return { pdfFile, pdfBytes, temperature, model, pageWindow, userEmail, accountId, customPrompt, promptSelection, promptVersionId };
+}
+
+// Extract PDF Data — queues a job and returns its id (202); poll GET /api/jobs/:id.
+// Send wait=true to hold the request open and get the result directly:
+// { data, usage, windows, truncated, continuations, incomplete } — truncated means the model hit its
+// output limit and the rows were stitched together from `continuations` follow-up turns.
+// Large PDFs are extracted in windows of pageWindow pages (EXTRACT_PAGE_WINDOW by default, 0 disables).
+// The prompt is either `prompt` (text) or `promptId` (a stored prompt); {{placeholders}} in it are
+// filled from the university / state / month_year / columns / paper / subject fields or `variables`.
+// promptId=auto classifies the paper first and picks the prompt (see promptSelection.js); the
+// choice is returned as prompt_selection. Send a concrete promptId to override it.
+app.post('/api/extract', enforceBudget(), async (c) => {
     let project = c.env.GOOGLE_CLOUD_PROJECT;
     let location = c.env.GOOGLE_CLOUD_LOCATION || 'us-central1';
     if (!project && c.env.GOOGLE_APPLICATION_CREDENTIALS) {
@@ -83,28 +258,23 @@ app.post('/api/extract', async (c) => {
 
     try {
         const body = await c.req.parseBody();
-        const pdfFile = body.file; // Matches frontend
-        const customPrompt = body.prompt;
-        const temperature = body.temperature !== undefined ? parseFloat(body.temperature) : 0.0;
-        const model = body.model || 'gemini-2.5-flash-lite';
-
-        if (!pdfFile || !(pdfFile instanceof File)) {
-            return c.json({ error: 'No file uploaded' }, 400);
+        const prepared = await prepareExtraction(c, body);
+        if (prepared.response) return prepared.response;
+        const { pdfFile, pdfBytes, temperature, model, pageWindow, userEmail, accountId, customPrompt, promptSelection, promptVersionId } = prepared;
+
+        const jobId = await createJob(c.env, { userEmail, accountId, fileName: pdfFile.name, model, temperature, promptVersionId });
+        const options = { customPrompt, temperature, model, pageWindow, userEmail, accountId, promptVersionId };
+
+        if (body.wait !== 'true') {
+            // waitUntil is cut off ~30 s after the response, so long extractions run in the queue consumer
+            await saveJobInput(c.env, jobId, pdfBytes, options);
+            await c.env.EXTRACTION_QUEUE.send({ jobId });
+            return c.json({ job_id: jobId, status: JOB_STATUS.QUEUED, prompt_selection: promptSelection, budget_warning: budgetWarning(c) }, 202);
         }
 
-        const arrayBuffer = await pdfFile.arrayBuffer();
-        const pdfBase64 = Buffer.from(arrayBuffer).toString('base64');
-
-        const { data, usage } = await extractFromPdf(pdfBase64, customPrompt, temperature, c.env, model);
-
-        // Log usage for analytics
-        await logUsage(c.env, c, 'extraction', {
-            input: usage.promptTokenCount,
-            output: usage.candidatesTokenCount,
-            total: usage.totalTokenCount
-        }, 1);
-
-        return c.json({ data, usage });
+        const outcome = await runExtractionJob(c.env, jobId, { pdfBytes, ...options });
+        if (outcome.error) throw outcome.error;
+        return c.json({ job_id: jobId, ...outcome, prompt_selection: promptSelection, budget_warning: budgetWarning(c) });
     } catch (error) {
         console.error('Extraction error:', error);
         const isQuotaError = error.message && (error.message.includes('429') || error.message.includes('Resource exhausted'));
@@ -121,33 +291,183 @@ app.post('/api/extract', async (c) => {
     }
 });
 
-// Download Excel
+// Streaming extraction — same form fields as /api/extract, answered as Server-Sent Events
+// (data: {"type", "data"} lines, like /api/merge-excel) while the model is still writing:
+//   progress { message, window?, total_windows? }    — window started / retry wait
+//   row      { index, row, replaced }                 — a row is complete; replaced = true re-sends row
+//                                                       `index` after a continuation turn finished it
+//   success  { job_id, data, usage, windows, truncated, continuations, incomplete, prompt_selection, budget_warning }
+//   error    { message, quota, job_id }
+// The job row is kept up to date as well, so GET /api/jobs/:id works for streamed extractions too.
+app.post('/api/extract/stream', enforceBudget(), async (c) => {
+    try {
+        const body = await c.req.parseBody();
+        const prepared = await prepareExtraction(c, body);
+        if (prepared.response) return prepared.response;
+        const { pdfFile, pdfBytes, temperature, model, pageWindow, userEmail, accountId, customPrompt, promptSelection, promptVersionId } = prepared;
+
+        const jobId = await createJob(c.env, { userEmail, accountId, fileName: pdfFile.name, model, temperature, promptVersionId });
+        const budget_warning = budgetWarning(c);
+        const env = c.env;
+
+        c.header('Content-Type', 'text/event-stream');
+        c.header('Cache-Control', 'no-cache');
+        return stream(c, async (streamWriter) => {
+            const emit = async (type, data) => {
+                await streamWriter.write(`data: ${JSON.stringify({ type, data })}\n\n`);
+            };
+
+            try {
+                await markJobRunning(env, jobId);
+                await emit('progress', { message: 'Extraction started', job_id: jobId, prompt_selection: promptSelection });
+
+                const result = await extractInWindows(pdfBytes, customPrompt, temperature, env, model, pageWindow, {
+                    onWindow: async (win, totalWindows) => {
+                        await touchJob(env, jobId);
+                        if (totalWindows > 1) {
+                            await emit('progress', {
+                                message: `Extracting pages ${win.startPage}-${win.endPage} (part ${win.index + 1} of ${totalWindows})...`,
+                                window: win.index,
+                                total_windows: totalWindows
+                            });
+                        }
+                    },
+                    onRow: (row, index, replaced) => emit('row', { index, row, replaced }),
+                    onRetry: (attempt, delayMs) => emit('progress', {
+                        message: `Model busy, retrying in ${Math.round(delayMs / 1000)}s (attempt ${attempt})...`
+                    })
+                });
+                await completeJob(env, jobId, result);
+
+                const { usage } = result;
+                await logUsage(env, null, 'extraction', {
+                    input: usage.promptTokenCount,
+                    output: usage.candidatesTokenCount,
+                    total: usage.totalTokenCount
+                }, 1, { userEmail, accountId, model, jobId, promptVersionId });
+
+                await emit('success', { job_id: jobId, ...result, prompt_selection: promptSelection, budget_warning });
+            } catch (streamErr) {
+                console.error('Streaming extraction failed:', streamErr);
+                try {
+                    await failJob(env, jobId, streamErr);
+                } catch (e) {
+                    console.error(`Could not mark extraction job ${jobId} as failed:`, e);
+                }
+                const quota = Boolean(streamErr.message && (streamErr.message.includes('429') || streamErr.message.includes('Resource exhausted')));
+                await emit('error', { message: streamErr.message, quota, job_id: jobId });
+            }
+        });
+    } catch (error) {
+        console.error('Streaming extraction setup error:', error);
+        return c.json({ error: 'Server Error during extraction', details: error.message }, 500);
+    }
+});
+
+// Job status / result for polling
+app.get('/api/jobs/:id', async (c) => {
+    try {
+        const job = await getJob(c.env, c.req.param('id'));
+        const user = c.get('user');
+        if (!job || job.account_id !== getAccountId(c) || (job.user_email !== user.email && !hasRole(user, ROLES.ADMIN))) {
+            return c.json({ error: 'Job not found' }, 404);
+        }
+        return c.json(job);
+    } catch (error) {
+        console.error('Fetch job error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// Recent jobs for a user (defaults to the caller; only admins may list someone else's)
+app.get('/api/jobs', async (c) => {
+    try {
+        const userEmail = c.req.query('user') || getUserEmail(c);
+        if (userEmail !== getUserEmail(c) && !hasRole(c.get('user'), ROLES.ADMIN)) {
+            return c.json({ error: 'Forbidden', details: "Only admins can list other users' jobs" }, 403);
+        }
+        const limit = Math.min(parseInt(c.req.query('limit'), 10) || 20, 100);
+        const jobs = await listJobs(c.env, getAccountId(c), userEmail, limit);
+        return c.json(jobs);
+    } catch (error) {
+        console.error('List jobs error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// Download Excel — or, with `format`, csv / jsonl / md / docx (see exportFormats.js);
+// `columns` picks and orders the columns
 app.post('/api/download-excel', async (c) => {
     try {
-        const { data } = await c.req.json();
+        const { data, format = 'xlsx', columns } = await c.req.json();
         if (!data || !Array.isArray(data)) {
             return c.json({ error: 'Invalid data' }, 400);
         }
 
-        const buffer = await generateExcel(data);
+        if (format === 'xlsx' && !columns) {
+            const buffer = await generateExcel(data);
+
+            return new Response(buffer, {
+                headers: {
+                    'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                    'Content-Disposition': 'attachment; filename=extracted_data.xlsx',
+                },
+            });
+        }
 
-        return new Response(buffer, {
+        const file = await exportRows(data, { format, columns, filename: 'extracted_data' });
+        return new Response(file.bytes, {
             headers: {
-                'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-                'Content-Disposition': 'attachment; filename=extracted_data.xlsx',
+                'Content-Type': file.contentType,
+                'Content-Disposition': `attachment; filename=${file.filename}`,
             },
         });
     } catch (error) {
         console.error('Excel error:', error);
-        return c.json({ error: error.message }, 500);
+        return c.json({ error: error.message }, error.status === 400 ? 400 : 500);
     }
 });
 
 // AI Excel Merger
-import { processExcelMerge } from './excelGroupParser.js';
+import { processExcelMerge, readQuestionColumn, readSheetRows } from './excelGroupParser.js';
 import * as XLSX from 'xlsx';
 
-app.post('/api/merge-excel', async (c) => {
+// Sheet / column mapping form fields shared by /api/parse-excel and /api/merge-excel:
+// sheet, headerRow (0-based), qNumColumn, qTextColumn (header name, 0-based index or letter).
+// The file may be xlsx / xls / ods or CSV / TSV.
+function excelParseOptions(body, file) {
+    return {
+        fileName: file.name,
+        sheet: body.sheet || undefined,
+        headerRow: body.headerRow,
+        qNumColumn: body.qNumColumn,
+        qTextColumn: body.qTextColumn
+    };
+}
+
+// dryRun=true answer: the mapping that would be used, the ranked alternatives and a preview,
+// so the UI can confirm (or correct) the columns before anything is sent to the model
+function excelDryRunResponse(parsedData) {
+    const preview = parsedData.orderedRoots
+        .flatMap(r => parsedData.groups[r].map(item => ({ group_id: r, original_row: item.original_row, q_num: item.q_num, q_text: item.q_text, warnings: item.warnings })))
+        .slice(0, 10);
+    return {
+        dry_run: true,
+        sheet: parsedData.sheet,
+        sheets: parsedData.sheets,
+        headerRow: parsedData.headerRow,
+        headers: parsedData.headers,
+        mapping: parsedData.mapping,
+        candidates: parsedData.candidates,
+        paperColumns: parsedData.paperColumns,
+        preview,
+        warnings: parsedData.warnings,
+        totalParsed: parsedData.totalParsed,
+        groupCount: parsedData.orderedRoots.length
+    };
+}
+
+app.post('/api/merge-excel', enforceBudget(), async (c) => {
     try {
         const body = await c.req.parseBody();
         const excelFile = body.file;
@@ -158,7 +478,14 @@ app.post('/api/merge-excel', async (c) => {
 
         const arrayBuffer = await excelFile.arrayBuffer();
         // Capture user email HERE before entering SSE stream (c.req not accessible inside stream callback)
-        const userEmail = c.req.header('X-User-Email') || c.req.header('Cf-Access-Authenticated-User-Email') || 'anonymous@internal.com';
+        const userEmail = getUserEmail(c);
+        const accountId = getAccountId(c);
+
+        // Parse up front so a bad sheet / column mapping is a plain 400 rather than an SSE error
+        const parsedData = await processExcelMerge(arrayBuffer, excelParseOptions(body, excelFile));
+        if (body.dryRun === 'true') {
+            return c.json(excelDryRunResponse(parsedData));
+        }
         
         // Return a Server-Sent Events Stream for live updates
         return stream(c, async (streamWriter) => {
@@ -167,9 +494,7 @@ app.post('/api/merge-excel', async (c) => {
             };
 
             try {
-                await emit('progress', { message: 'Grouping original questions...' });
-                // 1. Group the questions
-                const parsedData = await processExcelMerge(arrayBuffer);
+                await emit('progress', { message: `Grouped ${parsedData.totalParsed} questions from sheet "${parsedData.sheet}" (number: ${parsedData.mapping.qNumColumn}, text: ${parsedData.mapping.qTextColumn})` });
                 
                 // 2. Prepare for Restore AI Call
                 const defaultPrompt = `You are a strict clinical AI medical editor functioning as a VALIDATOR, not an appender.
@@ -197,15 +522,18 @@ CRITICAL INSTRUCTIONS:
 Return ONLY a valid JSON array containing EXACTLY these keys: {"id": <int>, "status": "<Complete or Incomplete>", "restored_text": "<val>"}`;
 
                 const systemPrompt = body.systemPrompt || defaultPrompt;
+                const model = modelFor(c.env, 'merge', body.model);
+                const promptVersionId = await findPromptVersionId(c.env, accountId, body.systemPrompt);
 
         let globalIndex = 0;
         const flattenGroups = [];
         parsedData.orderedRoots.forEach(r => {
-            parsedData.groups[r].forEach(item => {
+            parsedData.groups[r].forEach((item, groupIndex) => {
                 globalIndex++;
                 flattenGroups.push({
                    id: globalIndex,
                    group_id: r,
+                   group_index: groupIndex,
                    q_num: item.q_num,
                    q_text: item.q_text
                 });
@@ -231,45 +559,25 @@ Return ONLY a valid JSON array containing EXACTLY these keys: {"id": <int>, "sta
              const totalBatches = Math.ceil(flattenGroups.length / batchSize);
              await emit('progress', { message: `Processing batch ${batchNum} of ${totalBatches} (rows ${i + 1}–${Math.min(i + batchSize, flattenGroups.length)})...` });
              
-             const messages = [
-                 { role: 'user', content: JSON.stringify(batch) }
-             ];
-
-             // Retry loop: up to 3 attempts per batch
-             let attempts = 0;
-             let batchSuccess = false;
-             while (attempts < 3 && !batchSuccess) {
-                 attempts++;
-                 try {
-                     const aiRes = await chatWithGemini(messages, [], systemPrompt, c.env);
-                     let mergedResult = JSON.parse(aiRes.reply.replace(/```json|```/g, '').trim());
-                     if (!Array.isArray(mergedResult)) { mergedResult = [mergedResult]; }
-                     allMergedResults.push(...mergedResult);
-                     totalInputTokens += aiRes.usage?.promptTokenCount || 0;
-                     totalOutputTokens += aiRes.usage?.candidatesTokenCount || 0;
-                     batchSuccess = true;
-                 } catch (e) {
-                     const isRateLimit = e.message && (e.message.includes('429') || e.message.toLowerCase().includes('rate') || e.message.toLowerCase().includes('quota'));
-                     console.error(`Batch ${batchNum} attempt ${attempts} failed:`, e.message);
-                     
-                     if (isRateLimit && attempts < 3) {
-                         await emit('progress', { message: `Rate limit hit on batch ${batchNum}. Waiting 35 seconds before retry (attempt ${attempts}/3)...` });
-                         await new Promise(resolve => setTimeout(resolve, 35000));
-                     } else if (attempts >= 3) {
-                         // All retries exhausted - write originals as Error
-                         console.error(`Batch ${batchNum} failed after 3 attempts. Writing error rows.`);
-                         batch.forEach(b => {
-                             allMergedResults.push({ id: b.id, status: 'Error', restored_text: b.q_text });
-                         });
-                         batchSuccess = true; // Exit while loop
-                     } else {
-                         // Non-rate-limit error, no point retrying
-                         batch.forEach(b => {
-                             allMergedResults.push({ id: b.id, status: 'Error', restored_text: b.q_text });
-                         });
-                         batchSuccess = true;
-                     }
+             // Rate limits and 5xx are retried by the LLM client; report the waits as progress
+             const onRetry = (attempt, delayMs) => emit('progress', {
+                 message: `Rate limit hit on batch ${batchNum}. Waiting ${Math.round(delayMs / 1000)} seconds before retry (attempt ${attempt})...`
+             });
+             try {
+                 // Rules are enforced in code and bad / missing ids re-requested (see restoreValidation.js)
+                 const restored = await restoreWithValidation(c.env, batch, systemPrompt, model, { onRetry });
+                 if (restored.rerequests > 0) {
+                     await emit('progress', { message: `Batch ${batchNum}: re-requested invalid or missing rows (${restored.rerequests}x)` });
                  }
+                 allMergedResults.push(...restored.results);
+                 totalInputTokens += restored.usage.promptTokenCount;
+                 totalOutputTokens += restored.usage.candidatesTokenCount;
+             } catch (e) {
+                 // Retries exhausted or not retryable - write originals as Error
+                 console.error(`Batch ${batchNum} failed. Writing error rows:`, e.message);
+                 batch.forEach(b => {
+                     allMergedResults.push({ id: b.id, status: 'Error', restored_text: b.q_text, validation: { outcome: 'missing', notes: [e.message] } });
+                 });
              }
              
              // 7-second delay between batches = ~8.5 RPM, safely under Gemini's 15 RPM free tier limit
@@ -319,23 +627,21 @@ Return ONLY a valid JSON array containing EXACTLY these keys: {"id": <int>, "sta
         const worksheet = XLSX.utils.aoa_to_sheet(worksheetData);
         XLSX.utils.book_append_sheet(workbook, worksheet, 'AI Restored Questions');
 
-        // 5. Store File Temp in D1
+        // 5. Store File Temp in R2 (metadata in D1, purged after expiry)
         const outBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
-        const b64Excel = Buffer.from(outBuffer).toString('base64');
-        const fileId = crypto.randomUUID();
-        
-        await c.env.DB.prepare(
-            'INSERT INTO generated_files (id, data_base64) VALUES (?, ?)'
-        ).bind(fileId, b64Excel).run();
+        const fileId = await saveGeneratedFile(c.env, {
+            accountId,
+            ownerEmail: userEmail,
+            filename: 'AI_Merged_Questions.xlsx',
+            bytes: outBuffer
+        });
 
-        // Log Usage — use direct DB insert since c.req is unavailable inside SSE stream
-        try {
-            await c.env.DB.prepare(
-                'INSERT INTO usage_logs (user_email, event_type, token_input, token_output, token_total, file_count, account_name) VALUES (?, ?, ?, ?, ?, ?, ?)'
-            ).bind(userEmail, 'excel_merger', totalInputTokens, totalOutputTokens, totalInputTokens + totalOutputTokens, 1, 'Kumarmdkhare').run();
-        } catch (logErr) {
-            console.error('Usage log error (excel_merger):', logErr);
-        }
+        // Log Usage — pass identity explicitly since c.req is unavailable inside SSE stream
+        await logUsage(c.env, null, 'excel_merger', {
+            input: totalInputTokens,
+            output: totalOutputTokens,
+            total: totalInputTokens + totalOutputTokens
+        }, 1, { userEmail, accountId, model, promptVersionId });
 
         // Build final preview rows retaining original text for UI rendering
         const previewRows = allMergedResults.slice(0, 10).map(r => {
@@ -344,7 +650,8 @@ Return ONLY a valid JSON array containing EXACTLY these keys: {"id": <int>, "sta
                 original_num: originalItem ? String(originalItem.q_num).trim() : 'N/A',
                 original_text: originalItem ? String(originalItem.q_text).trim() : '',
                 status: r.status,
-                restored_text: r.restored_text
+                restored_text: r.restored_text,
+                validation: r.validation
             };
         });
 
@@ -354,7 +661,8 @@ Return ONLY a valid JSON array containing EXACTLY these keys: {"id": <int>, "sta
             download_id: fileId,
             stats: {
                 total_rows: parsedData.totalParsed,
-                merged_rows: allMergedResults.filter(m => m.status === 'Incomplete').length
+                merged_rows: allMergedResults.filter(m => m.status === 'Incomplete').length,
+                grouping_warnings: parsedData.warnings.length
             },
             usage: {
                 input_tokens: totalInputTokens,
@@ -371,26 +679,35 @@ Return ONLY a valid JSON array containing EXACTLY these keys: {"id": <int>, "sta
 
     } catch (error) {
         console.error('Merge endpoint setup error:', error);
+        if (error.status === 400) return c.json({ error: error.message }, 400);
         return c.json({ error: 'Server Error during merge', details: error.message }, 500);
     }
 });
 
-// Download Merged Endpoint
+// Download Merged Endpoint — only the owner (or an admin of the same account) until the file expires
 app.get('/api/download-merged-excel/:id', async (c) => {
     try {
         const id = c.req.param('id');
-        const doc = await c.env.DB.prepare('SELECT data_base64 FROM generated_files WHERE id = ?').bind(id).first();
-        
-        if (!doc) return c.text('File not found or expired', 404);
-        
-        const buffer = Buffer.from(doc.data_base64, 'base64');
-        return new Response(buffer, {
+        const meta = await getGeneratedFileMeta(c.env, id);
+        const user = c.get('user');
+
+        if (!meta || meta.account_id !== getAccountId(c) || (meta.owner_email !== user.email && !hasRole(user, ROLES.ADMIN))) {
+            return c.text('File not found or expired', 404);
+        }
+        if (meta.expired) return c.text('File has expired', 410);
+
+        const object = await readGeneratedFile(c.env, meta);
+        if (!object) return c.text('File not found or expired', 404);
+
+        return new Response(object.body, {
             headers: {
-                'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-                'Content-Disposition': 'attachment; filename=AI_Merged_Questions.xlsx',
+                'Content-Type': meta.content_type,
+                'Content-Disposition': `attachment; filename=${meta.filename}`,
+                'Content-Length': String(meta.size_bytes),
             },
         });
     } catch (error) {
+         console.error('Download error:', error);
          return c.text('Error downloading file', 500);
     }
 });
@@ -406,14 +723,18 @@ app.post('/api/parse-excel', async (c) => {
             return c.json({ error: 'No Excel file uploaded' }, 400);
         }
         const arrayBuffer = await excelFile.arrayBuffer();
-        const parsedData = await processExcelMerge(arrayBuffer);
+        const parsedData = await processExcelMerge(arrayBuffer, excelParseOptions(body, excelFile));
+        if (body.dryRun === 'true') {
+            return c.json(excelDryRunResponse(parsedData));
+        }
 
         let globalIndex = 0;
         const flattenGroups = [];
         parsedData.orderedRoots.forEach(r => {
-            parsedData.groups[r].forEach(item => {
+            parsedData.groups[r].forEach((item, groupIndex) => {
                 globalIndex++;
-                flattenGroups.push({ id: globalIndex, group_id: r, q_num: item.q_num, q_text: item.q_text });
+                // group_index lets /api/restore-batch tell roman subparts from questions when a batch splits a group
+                flattenGroups.push({ id: globalIndex, group_id: r, group_index: groupIndex, q_num: item.q_num, q_text: item.q_text });
                 item._id = globalIndex;
             });
         });
@@ -421,6 +742,12 @@ app.post('/api/parse-excel', async (c) => {
         return c.json({
             flattenGroups,
             headers: parsedData.headers,
+            sheet: parsedData.sheet,
+            mapping: parsedData.mapping,
+            // Ambiguous grouping, by flattenGroups id (kept out of flattenGroups, which is sent to the model as is)
+            warnings: parsedData.orderedRoots.flatMap(r => parsedData.groups[r].filter(item => item.warnings).map(item => ({
+                id: item._id, original_row: item.original_row, q_num: item.q_num, group_id: r, warnings: item.warnings
+            }))),
             rows: parsedData.orderedRoots.flatMap(r =>
                 parsedData.groups[r].map(item => ({ _id: item._id, full_data: item.full_data }))
             ),
@@ -428,7 +755,7 @@ app.post('/api/parse-excel', async (c) => {
         });
     } catch (e) {
         console.error('parse-excel error:', e);
-        return c.json({ error: e.message }, 500);
+        return c.json({ error: e.message }, e.status === 400 ? 400 : 500);
     }
 });
 
@@ -472,25 +799,39 @@ CRITICAL INSTRUCTIONS:
 Return ONLY a valid JSON array containing EXACTLY these keys: {"id": <int>, "status": "<Complete or Incomplete>", "restored_text": "<val>"}`;
 
 
-app.post('/api/restore-batch', async (c) => {
+app.post('/api/restore-batch', enforceBudget(), async (c) => {
     try {
-        const { batch, systemPrompt } = await c.req.json();
+        const { batch, systemPrompt, model: requestedModel } = await c.req.json();
         if (!Array.isArray(batch) || batch.length === 0) {
             return c.json({ error: 'Invalid batch' }, 400);
         }
         const prompt = systemPrompt || DEFAULT_RESTORE_PROMPT;
-        const messages = [{ role: 'user', content: JSON.stringify(batch) }];
-        const aiRes = await chatWithGemini(messages, [], prompt, c.env);
-        let result = JSON.parse(aiRes.reply.replace(/```json|```/g, '').trim());
-        if (!Array.isArray(result)) result = [result];
+        const model = modelFor(c.env, 'restore', requestedModel);
+        const promptVersionId = await findPromptVersionId(c.env, getAccountId(c), systemPrompt);
+        // Rules are enforced in code and bad / missing ids re-requested (see restoreValidation.js)
+        const restored = await restoreWithValidation(c.env, batch, prompt, model);
+
+        // Every batch is billed here; /api/build-excel only counts the finished file
+        await logUsage(c.env, c, 'excel_merger', {
+            input: restored.usage.promptTokenCount,
+            output: restored.usage.candidatesTokenCount,
+            total: restored.usage.promptTokenCount + restored.usage.candidatesTokenCount
+        }, 0, { model, promptVersionId });
 
         // Removed same-text failsafe to allow HITL manual review of subtle drafts
 
         return c.json({
-            results: result,
+            results: restored.results,
+            budget_warning: budgetWarning(c),
+            truncated: restored.truncated,
+            continuations: restored.continuations,
+            rerequests: restored.rerequests,
+            unknown_ids: restored.unknown_ids,
+            prompt_version_id: promptVersionId,
+            model,
             usage: {
-                input: aiRes.usage?.promptTokenCount || 0,
-                output: aiRes.usage?.candidatesTokenCount || 0
+                input: restored.usage.promptTokenCount,
+                output: restored.usage.candidatesTokenCount
             }
         });
     } catch (e) {
@@ -499,10 +840,26 @@ app.post('/api/restore-batch', async (c) => {
     }
 });
 
+// Which prompt a restore run used, for the workbook Summary sheet: the saved version when
+// /api/restore-batch matched one, else the custom text sent, else the built-in prompt
+async function restorePromptSummary(c, promptVersionId, systemPrompt) {
+    if (promptVersionId) {
+        const version = await getPromptVersionById(c.env, getAccountId(c), promptVersionId);
+        if (version) {
+            return { label: `${version.prompt_kind} ${version.prompt_ref} v${version.version} (version #${version.id})`, text: version.content };
+        }
+    }
+    if (systemPrompt) return { label: 'Custom prompt (no saved version)', text: systemPrompt };
+    return { label: 'Built-in restore prompt', text: DEFAULT_RESTORE_PROMPT };
+}
+
 // 3. Build final Excel from all accumulated results → stores in D1 and returns download_id
 app.post('/api/build-excel', async (c) => {
     try {
-        const { allResults, flattenGroups, headers, rows, usage } = await c.req.json();
+        // model, promptVersionId (the prompt_version_id returned by /api/restore-batch) and systemPrompt
+        // only feed the Summary sheet; format / columns as for /api/download-excel
+        const { allResults, flattenGroups, headers, rows, model, promptVersionId, systemPrompt, format = 'xlsx', columns } = await c.req.json();
+        checkExportFormat(format);
 
         const mergeMap = {};
         allResults.forEach(r => { mergeMap[r.id] = { status: r.status, restored_text: r.restored_text }; });
@@ -516,7 +873,8 @@ app.post('/api/build-excel', async (c) => {
 
         flattenGroups.forEach(item => {
             const aiData = mergeMap[item.id] || { status: 'Complete', restored_text: item.q_text };
-            const fullRow = rowMap[item.id] || [];
+            // Padded / trimmed to the headers (sheet rows drop trailing blanks) so the AI columns line up
+            const fullRow = Array.from({ length: headers.length }, (_, i) => (rowMap[item.id] || [])[i] ?? '');
 
             // Modification Check: compare original vs AI output
             const originalNorm = String(item.q_text || '').trim();
@@ -531,30 +889,37 @@ app.post('/api/build-excel', async (c) => {
             worksheetData.push([...fullRow, aiData.status, aiData.restored_text, modCheck]);
         });
 
-        const workbook = XLSX.utils.book_new();
-        const worksheet = XLSX.utils.aoa_to_sheet(worksheetData);
-        XLSX.utils.book_append_sheet(workbook, worksheet, 'AI Restored Questions');
-
-        const outBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
-        const b64Excel = Buffer.from(outBuffer).toString('base64');
-        const fileId = crypto.randomUUID();
-
-        await c.env.DB.prepare('INSERT INTO generated_files (id, data_base64) VALUES (?, ?)').bind(fileId, b64Excel).run();
-
-        if (usage && (usage.input > 0 || usage.output > 0)) {
-            await logUsage(c.env, c, 'excel_merger', {
-                input: usage.input,
-                output: usage.output,
-                total: usage.input + usage.output
-            }, 1);
+        let file;
+        if (format === 'xlsx' && !columns) {
+            const bytes = generateRestoredWorkbook(newHeaders, worksheetData.slice(1), {
+                model,
+                prompt: await restorePromptSummary(c, promptVersionId, systemPrompt),
+                builtBy: getUserEmail(c),
+                builtAt: new Date().toISOString()
+            });
+            file = { bytes, filename: 'AI_Merged_Questions.xlsx' };
+        } else {
+            file = await exportRows(rowsFromTable(newHeaders, worksheetData.slice(1)), {
+                format, columns, filename: 'AI_Merged_Questions', sheetName: 'AI Restored Questions'
+            });
         }
+        const fileId = await saveGeneratedFile(c.env, {
+            accountId: getAccountId(c),
+            ownerEmail: getUserEmail(c),
+            filename: file.filename,
+            contentType: file.contentType,
+            bytes: file.bytes
+        });
+
+        // Tokens were logged per batch by /api/restore-batch; this row counts the restored file
+        await logUsage(c.env, c, 'excel_merger', { input: 0, output: 0, total: 0 }, 1, { model: modelFor(c.env, 'restore', model), promptVersionId });
 
         const incomplete_count = allResults.filter(r => r.status === 'Incomplete').length;
         const modified_count = worksheetData.slice(1).filter(r => r[r.length - 1]?.startsWith('⚠️')).length;
-        return c.json({ download_id: fileId, incomplete_count, total: flattenGroups.length, modified_count });
+        return c.json({ download_id: fileId, format, incomplete_count, total: flattenGroups.length, modified_count });
     } catch (e) {
         console.error('build-excel error:', e);
-        return c.json({ error: e.message }, 500);
+        return c.json({ error: e.message }, e.status === 400 ? 400 : 500);
     }
 });
 // ─────────────────────────────────────────────────────────────────────────────
@@ -563,7 +928,7 @@ app.post('/api/build-excel', async (c) => {
 // Prompt Library (D1)
 app.get('/api/prompts', async (c) => {
     try {
-        const { results } = await c.env.DB.prepare('SELECT * FROM prompts ORDER BY created_at DESC').all();
+        const { results } = await c.env.DB.prepare('SELECT * FROM prompts WHERE account_id = ? ORDER BY created_at DESC').bind(getAccountId(c)).all();
         return c.json(results || []);
     } catch (error) {
         console.error('Fetch prompts error:', error);
@@ -575,24 +940,65 @@ app.get('/api/sorter-prompt', (c) => {
     return c.json({ prompt: SORTER_PROMPT });
 });
 
-app.post('/api/prompts', async (c) => {
+app.post('/api/prompts', requireRole(ROLES.EDITOR), async (c) => {
     try {
         const { name, university, state, type, content } = await c.req.json();
         const result = await c.env.DB.prepare(
-            'INSERT INTO prompts (name, university, state, type, content) VALUES (?, ?, ?, ?, ?) RETURNING *'
+            'INSERT INTO prompts (name, university, state, type, content, account_id) VALUES (?, ?, ?, ?, ?, ?) RETURNING *'
         )
-            .bind(name, university, state, type, content)
+            .bind(name, university, state, type, content, getAccountId(c))
             .first();
-        return c.json(result);
+        const version = await recordPromptVersion(c.env, {
+            accountId: getAccountId(c), kind: 'prompt', ref: result.id, content,
+            metadata: { name, university, state, type }, authorEmail: getUserEmail(c)
+        });
+        return c.json({ ...result, version: version.version });
     } catch (error) {
         console.error('Create prompt error:', error);
         return c.json({ error: error.message }, 500);
     }
 });
 
+// Render a prompt template without calling Gemini: { promptId } or { content }, plus variables
+app.post('/api/prompts/preview', async (c) => {
+    try {
+        const body = await c.req.json();
+        const template = await loadPromptTemplate(c, body);
+        if (template.error) return c.json({ error: template.error }, template.status);
+        const { text, missing, used } = renderPromptTemplate(template.content, template.variables);
+        return c.json({
+            rendered: text,
+            placeholders: listTemplateVariables(template.content),
+            used,
+            missing,
+            ready: missing.length === 0
+        });
+    } catch (error) {
+        console.error('Preview prompt error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// Run only the auto-mode classification (multipart `file`), so the choice can be reviewed and
+// overridden before extracting
+app.post('/api/prompts/auto-select', enforceBudget(), async (c) => {
+    try {
+        const body = await c.req.parseBody();
+        if (!body.file || !(body.file instanceof File)) {
+            return c.json({ error: 'No file uploaded' }, 400);
+        }
+        const pdfBytes = new Uint8Array(await body.file.arrayBuffer());
+        const selection = await autoSelectPrompt(c, pdfBytes, body);
+        return c.json({ ...selection, budget_warning: budgetWarning(c) });
+    } catch (error) {
+        console.error('Auto-select prompt error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
 app.get('/api/manual-sorter-prompt', async (c) => {
     try {
-        const result = await c.env.DB.prepare("SELECT content FROM prompts WHERE type = 'manual_sorter' ORDER BY created_at DESC LIMIT 1").first();
+        const result = await c.env.DB.prepare("SELECT content FROM prompts WHERE type = 'manual_sorter' AND account_id = ? ORDER BY created_at DESC LIMIT 1").bind(getAccountId(c)).first();
         return c.json({ prompt: result?.content || MANUAL_MERGE_PROMPT });
     } catch (error) {
         console.error('Fetch manual prompt error:', error);
@@ -600,43 +1006,67 @@ app.get('/api/manual-sorter-prompt', async (c) => {
     }
 });
 
-app.post('/api/manual-sorter-prompt', async (c) => {
+app.post('/api/manual-sorter-prompt', requireRole(ROLES.EDITOR), async (c) => {
     try {
         const { content } = await c.req.json();
-        const existing = await c.env.DB.prepare("SELECT id FROM prompts WHERE type = 'manual_sorter' ORDER BY created_at DESC LIMIT 1").first();
+        const accountId = getAccountId(c);
+        const existing = await c.env.DB.prepare("SELECT * FROM prompts WHERE type = 'manual_sorter' AND account_id = ? ORDER BY created_at DESC LIMIT 1").bind(accountId).first();
         
+        let promptId;
         if (existing) {
+            await ensureBaselineVersion(c.env, {
+                accountId, kind: 'prompt', ref: existing.id, content: existing.content,
+                metadata: { name: existing.name, university: existing.university, state: existing.state, type: existing.type }
+            });
             await c.env.DB.prepare("UPDATE prompts SET content = ? WHERE id = ?").bind(content, existing.id).run();
+            promptId = existing.id;
         } else {
-            await c.env.DB.prepare("INSERT INTO prompts (name, type, content) VALUES (?, ?, ?)").bind("Manual Sorter Prompt", "manual_sorter", content).run();
+            const created = await c.env.DB.prepare("INSERT INTO prompts (name, type, content, account_id) VALUES (?, ?, ?, ?) RETURNING id").bind("Manual Sorter Prompt", "manual_sorter", content, accountId).first();
+            promptId = created.id;
         }
-        return c.json({ success: true });
+        const version = await recordPromptVersion(c.env, {
+            accountId, kind: 'prompt', ref: promptId, content,
+            metadata: { name: 'Manual Sorter Prompt', type: 'manual_sorter' }, authorEmail: getUserEmail(c)
+        });
+        return c.json({ success: true, id: promptId, version: version.version });
     } catch (error) {
         console.error('Update manual prompt error:', error);
         return c.json({ error: error.message }, 500);
     }
 });
 
-app.put('/api/prompts/:id', async (c) => {
+app.put('/api/prompts/:id', requireRole(ROLES.EDITOR), async (c) => {
     try {
         const id = c.req.param('id');
+        const accountId = getAccountId(c);
         const { name, university, state, type, content } = await c.req.json();
+        const previous = await c.env.DB.prepare('SELECT * FROM prompts WHERE id = ? AND account_id = ?').bind(id, accountId).first();
+        if (!previous) return c.json({ error: 'Prompt not found' }, 404);
+        await ensureBaselineVersion(c.env, {
+            accountId, kind: 'prompt', ref: id, content: previous.content,
+            metadata: { name: previous.name, university: previous.university, state: previous.state, type: previous.type }
+        });
+
         const result = await c.env.DB.prepare(
-            'UPDATE prompts SET name = ?, university = ?, state = ?, type = ?, content = ? WHERE id = ? RETURNING *'
+            'UPDATE prompts SET name = ?, university = ?, state = ?, type = ?, content = ? WHERE id = ? AND account_id = ? RETURNING *'
         )
-            .bind(name, university, state, type, content, id)
+            .bind(name, university, state, type, content, id, accountId)
             .first();
-        return c.json(result);
+        const version = await recordPromptVersion(c.env, {
+            accountId, kind: 'prompt', ref: id, content,
+            metadata: { name, university, state, type }, authorEmail: getUserEmail(c)
+        });
+        return c.json({ ...result, version: version.version });
     } catch (error) {
         console.error('Update prompt error:', error);
         return c.json({ error: error.message }, 500);
     }
 });
 
-app.delete('/api/prompts/:id', async (c) => {
+app.delete('/api/prompts/:id', requireRole(ROLES.ADMIN), async (c) => {
     try {
         const id = c.req.param('id');
-        await c.env.DB.prepare('DELETE FROM prompts WHERE id = ?').bind(id).run();
+        await c.env.DB.prepare('DELETE FROM prompts WHERE id = ? AND account_id = ?').bind(id, getAccountId(c)).run();
         return c.json({ success: true });
     } catch (error) {
         console.error('Delete prompt error:', error);
@@ -647,7 +1077,7 @@ app.delete('/api/prompts/:id', async (c) => {
 // HITL Settings (Context Restorer)
 app.get('/api/hitl-settings', async (c) => {
     try {
-        const { results } = await c.env.DB.prepare('SELECT * FROM hitl_settings').all();
+        const { results } = await c.env.DB.prepare('SELECT * FROM hitl_settings WHERE account_id = ?').bind(getAccountId(c)).all();
         return c.json(results || []);
     } catch (error) {
         console.error('Fetch hitl settings error:', error);
@@ -655,23 +1085,140 @@ app.get('/api/hitl-settings', async (c) => {
     }
 });
 
-app.post('/api/hitl-settings', async (c) => {
+app.post('/api/hitl-settings', requireRole(ROLES.ADMIN), async (c) => {
     try {
         const { type, content } = await c.req.json();
-        await c.env.DB.prepare('INSERT INTO hitl_settings (type, content) VALUES (?, ?) ON CONFLICT(type) DO UPDATE SET content = EXCLUDED.content, updated_at = CURRENT_TIMESTAMP')
-            .bind(type, content)
+        const accountId = getAccountId(c);
+        const previous = await c.env.DB.prepare('SELECT content FROM hitl_settings WHERE account_id = ? AND type = ?').bind(accountId, type).first();
+        await ensureBaselineVersion(c.env, { accountId, kind: 'hitl', ref: type, content: previous?.content });
+
+        await c.env.DB.prepare('INSERT INTO hitl_settings (account_id, type, content) VALUES (?, ?, ?) ON CONFLICT(account_id, type) DO UPDATE SET content = EXCLUDED.content, updated_at = CURRENT_TIMESTAMP')
+            .bind(accountId, type, content)
             .run();
-        return c.json({ success: true });
+        const version = await recordPromptVersion(c.env, { accountId, kind: 'hitl', ref: type, content, authorEmail: getUserEmail(c) });
+        return c.json({ success: true, version: version.version });
     } catch (error) {
         console.error('Update hitl settings error:', error);
         return c.json({ error: error.message }, 500);
     }
 });
 
+// Prompt Version History — kind is 'prompt', 'chat_prompt' or 'hitl' (see promptVersions.js)
+function checkPromptKind(c) {
+    const kind = c.req.param('kind');
+    return PROMPT_KINDS.includes(kind) ? null : c.json({ error: `kind must be one of: ${PROMPT_KINDS.join(', ')}` }, 400);
+}
+
+app.get('/api/prompt-versions/:kind/:ref', async (c) => {
+    try {
+        const invalid = checkPromptKind(c);
+        if (invalid) return invalid;
+        const versions = await listPromptVersions(c.env, getAccountId(c), c.req.param('kind'), c.req.param('ref'));
+        return c.json(versions);
+    } catch (error) {
+        console.error('Fetch prompt versions error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// ?from=<version>&to=<version> (to defaults to the latest version)
+app.get('/api/prompt-versions/:kind/:ref/diff', async (c) => {
+    try {
+        const invalid = checkPromptKind(c);
+        if (invalid) return invalid;
+        const { kind, ref } = c.req.param();
+        const accountId = getAccountId(c);
+        const fromVersion = parseInt(c.req.query('from'), 10);
+        if (isNaN(fromVersion)) return c.json({ error: 'from version is required' }, 400);
+
+        const from = await getPromptVersion(c.env, accountId, kind, ref, fromVersion);
+        const to = c.req.query('to')
+            ? await getPromptVersion(c.env, accountId, kind, ref, parseInt(c.req.query('to'), 10))
+            : await getLatestPromptVersion(c.env, accountId, kind, ref);
+        if (!from || !to) return c.json({ error: 'Version not found' }, 404);
+
+        const diff = diffLines(from.content, to.content);
+        return c.json({
+            from: { version: from.version, author_email: from.author_email, created_at: from.created_at },
+            to: { version: to.version, author_email: to.author_email, created_at: to.created_at },
+            added: diff.filter(d => d.op === '+').length,
+            removed: diff.filter(d => d.op === '-').length,
+            diff,
+            unified: diff.map(d => `${d.op} ${d.line}`).join('\n')
+        });
+    } catch (error) {
+        console.error('Diff prompt versions error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+app.get('/api/prompt-versions/:kind/:ref/:version', async (c) => {
+    try {
+        const invalid = checkPromptKind(c);
+        if (invalid) return invalid;
+        const { kind, ref, version } = c.req.param();
+        const row = await getPromptVersion(c.env, getAccountId(c), kind, ref, parseInt(version, 10));
+        if (!row) return c.json({ error: 'Version not found' }, 404);
+        return c.json(row);
+    } catch (error) {
+        console.error('Fetch prompt version error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// Restores an old version's content (and name/university/state/type) as a new version.
+// HITL settings need the admin role, like POST /api/hitl-settings.
+app.post('/api/prompt-versions/:kind/:ref/rollback', requireRole(ROLES.EDITOR), async (c) => {
+    try {
+        const invalid = checkPromptKind(c);
+        if (invalid) return invalid;
+        const { kind, ref } = c.req.param();
+        if (kind === 'hitl' && !hasRole(c.get('user'), ROLES.ADMIN)) {
+            return c.json({ error: 'Forbidden', details: "This action requires the 'admin' role" }, 403);
+        }
+        const accountId = getAccountId(c);
+        const { version } = await c.req.json();
+        const target = await getPromptVersion(c.env, accountId, kind, ref, version);
+        if (!target) return c.json({ error: 'Version not found' }, 404);
+        const meta = target.metadata_json ? JSON.parse(target.metadata_json) : {};
+
+        let updated;
+        if (kind === 'prompt') {
+            // Only the fields the version recorded are restored: versions without metadata (or without
+            // a type) keep the prompt's current values, so lookups such as type = 'manual_sorter' still match
+            const fields = ['name', 'university', 'state', 'type'].filter(f => f in meta && (f !== 'name' || meta.name));
+            updated = await c.env.DB.prepare(
+                `UPDATE prompts SET content = ?${fields.map(f => `, ${f} = ?`).join('')} WHERE id = ? AND account_id = ? RETURNING id`
+            ).bind(target.content, ...fields.map(f => meta[f] ?? null), ref, accountId).first();
+        } else if (kind === 'chat_prompt') {
+            updated = await c.env.DB.prepare(
+                'UPDATE chat_prompts SET content = ?, name = COALESCE(?, name), type = COALESCE(?, type) WHERE id = ? AND account_id = ? RETURNING id'
+            ).bind(target.content, meta.name ?? null, meta.type ?? null, ref, accountId).first();
+        } else {
+            updated = await c.env.DB.prepare(
+                'INSERT INTO hitl_settings (account_id, type, content) VALUES (?, ?, ?) ON CONFLICT(account_id, type) DO UPDATE SET content = EXCLUDED.content, updated_at = CURRENT_TIMESTAMP RETURNING type'
+            ).bind(accountId, ref, target.content).first();
+        }
+        if (!updated) return c.json({ error: 'Prompt not found (it may have been deleted)' }, 404);
+
+        const newVersion = await recordPromptVersion(c.env, {
+            accountId, kind, ref, content: target.content,
+            metadata: target.metadata_json ? meta : null,
+            authorEmail: getUserEmail(c),
+            note: `Rollback to v${target.version}`
+        });
+        return c.json({ success: true, version: newVersion.version, restored_from: target.version });
+    } catch (error) {
+        console.error('Rollback prompt error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
 // AI Chat Assistant
-app.post('/api/chat', async (c) => {
+app.post('/api/chat', enforceBudget(), async (c) => {
     try {
-        const { messages, attachments, promptContext, model } = await c.req.json();
+        const { messages, attachments, promptContext, model: requestedModel } = await c.req.json();
+        const model = modelFor(c.env, 'chat', requestedModel);
 
         if (!messages || !Array.isArray(messages) || messages.length === 0) {
             return c.json({ error: 'Messages array is required' }, 400);
@@ -680,16 +1227,16 @@ app.post('/api/chat', async (c) => {
         // Validate attachments (optional)
         const validAttachments = (attachments || []).filter(att => att.mimeType && att.base64);
 
-        const result = await chatWithGemini(messages, validAttachments, promptContext || '', c.env, model);
+        const result = await chatWithModel(messages, validAttachments, promptContext || '', c.env, model);
 
-        // Log usage for analytics
+        // Log usage for analytics (Gemini usageMetadata field names, so chat counts against budgets)
         await logUsage(c.env, c, 'chat', {
-            input: result.usage.input_tokens,
-            output: result.usage.output_tokens,
-            total: result.usage.total_tokens
-        });
+            input: result.usage?.promptTokenCount,
+            output: result.usage?.candidatesTokenCount,
+            total: result.usage?.totalTokenCount
+        }, 0, { model });
 
-        return c.json(result);
+        return c.json({ ...result, budget_warning: budgetWarning(c) });
     } catch (error) {
         console.error('Chat error:', error);
         return c.json({ error: error.message }, 500);
@@ -699,7 +1246,7 @@ app.post('/api/chat', async (c) => {
 // Chat Prompts Library (D1)
 app.get('/api/chat-prompts', async (c) => {
     try {
-        const { results } = await c.env.DB.prepare('SELECT * FROM chat_prompts ORDER BY created_at DESC').all();
+        const { results } = await c.env.DB.prepare('SELECT * FROM chat_prompts WHERE account_id = ? ORDER BY created_at DESC').bind(getAccountId(c)).all();
         return c.json(results || []);
     } catch (error) {
         console.error('Fetch chat prompts error:', error);
@@ -707,41 +1254,57 @@ app.get('/api/chat-prompts', async (c) => {
     }
 });
 
-app.post('/api/chat-prompts', async (c) => {
+app.post('/api/chat-prompts', requireRole(ROLES.EDITOR), async (c) => {
     try {
         const { name, type, content } = await c.req.json();
         const result = await c.env.DB.prepare(
-            'INSERT INTO chat_prompts (name, type, content) VALUES (?, ?, ?) RETURNING *'
+            'INSERT INTO chat_prompts (name, type, content, account_id) VALUES (?, ?, ?, ?) RETURNING *'
         )
-            .bind(name, type, content)
+            .bind(name, type, content, getAccountId(c))
             .first();
-        return c.json(result);
+        const version = await recordPromptVersion(c.env, {
+            accountId: getAccountId(c), kind: 'chat_prompt', ref: result.id, content,
+            metadata: { name, type }, authorEmail: getUserEmail(c)
+        });
+        return c.json({ ...result, version: version.version });
     } catch (error) {
         console.error('Create chat prompt error:', error);
         return c.json({ error: error.message, stack: error.stack }, 500);
     }
 });
 
-app.put('/api/chat-prompts/:id', async (c) => {
+app.put('/api/chat-prompts/:id', requireRole(ROLES.EDITOR), async (c) => {
     try {
         const id = c.req.param('id');
+        const accountId = getAccountId(c);
         const { name, type, content } = await c.req.json();
+        const previous = await c.env.DB.prepare('SELECT * FROM chat_prompts WHERE id = ? AND account_id = ?').bind(id, accountId).first();
+        if (!previous) return c.json({ error: 'Chat prompt not found' }, 404);
+        await ensureBaselineVersion(c.env, {
+            accountId, kind: 'chat_prompt', ref: id, content: previous.content,
+            metadata: { name: previous.name, type: previous.type }
+        });
+
         const result = await c.env.DB.prepare(
-            'UPDATE chat_prompts SET name = ?, type = ?, content = ? WHERE id = ? RETURNING *'
+            'UPDATE chat_prompts SET name = ?, type = ?, content = ? WHERE id = ? AND account_id = ? RETURNING *'
         )
-            .bind(name, type, content, id)
+            .bind(name, type, content, id, accountId)
             .first();
-        return c.json(result);
+        const version = await recordPromptVersion(c.env, {
+            accountId, kind: 'chat_prompt', ref: id, content,
+            metadata: { name, type }, authorEmail: getUserEmail(c)
+        });
+        return c.json({ ...result, version: version.version });
     } catch (error) {
         console.error('Update chat prompt error:', error);
         return c.json({ error: error.message }, 500);
     }
 });
 
-app.delete('/api/chat-prompts/:id', async (c) => {
+app.delete('/api/chat-prompts/:id', requireRole(ROLES.ADMIN), async (c) => {
     try {
         const id = c.req.param('id');
-        await c.env.DB.prepare('DELETE FROM chat_prompts WHERE id = ?').bind(id).run();
+        await c.env.DB.prepare('DELETE FROM chat_prompts WHERE id = ? AND account_id = ?').bind(id, getAccountId(c)).run();
         return c.json({ success: true });
     } catch (error) {
         console.error('Delete chat prompt error:', error);
@@ -836,55 +1399,53 @@ RULES:
 
 // ══ AI Repeat Sorter Endpoint ══════════════════════════════════════════════
 // Accepts ONE batch of groups per call (frontend handles iteration + progress)
-app.post('/api/ai-sorter', async (c) => {
+app.post('/api/ai-sorter', enforceBudget(), async (c) => {
     try {
-        const { groups, logUsageOnLastBatch, totalGroupsForLog } = await c.req.json();
+        const { groups, logUsageOnLastBatch, totalGroupsForLog, model: requestedModel } = await c.req.json();
         if (!Array.isArray(groups) || groups.length === 0) {
             return c.json({ error: 'groups array is required' }, 400);
         }
+        const model = modelFor(c.env, 'sorter', requestedModel);
 
-        const messages = [{ role: 'user', content: JSON.stringify(groups) }];
         let results = [];
+        let validation = null;
+        let unknownGroupIds = [];
+        let reasks = 0;
         let inputTokens = 0;
         let outputTokens = 0;
 
-        // Single AI call for this batch (retry once on rate-limit)
-        let attempts = 0;
-        while (attempts < 2) {
-            attempts++;
-            try {
-                const aiRes = await chatWithGemini(messages, [], SORTER_PROMPT, c.env);
-                let parsed = JSON.parse(aiRes.reply.replace(/```json|```/g, '').trim());
-                if (!Array.isArray(parsed)) parsed = [parsed];
-                results = parsed;
-                inputTokens = aiRes.usage?.promptTokenCount || 0;
-                outputTokens = aiRes.usage?.candidatesTokenCount || 0;
-                break;
-            } catch (e) {
-                const isRateLimit = e.message && (e.message.includes('429') || e.message.toLowerCase().includes('rate'));
-                if (isRateLimit && attempts < 2) {
-                    await new Promise(r => setTimeout(r, 30000));
-                } else {
-                    // Fallback: return groups as unmerged
-                    results = groups.map(g => ({
-                        groupId: g.groupId, subGroup: null,
-                        status: 'Error', mergedQuestion: g.repQuestion, mergedIndices: [0]
-                    }));
-                    break;
-                }
-            }
+        // One AI call for this batch (rate limits are retried by the LLM client), plus re-asks for
+        // groups that break the ledger rules; see sorterValidation.js
+        try {
+            const sorted = await sortWithValidation(c.env, groups, SORTER_PROMPT, model);
+            results = sorted.results;
+            validation = sorted.report;
+            unknownGroupIds = sorted.unknown_group_ids;
+            reasks = sorted.reasks;
+            inputTokens = sorted.usage.promptTokenCount;
+            outputTokens = sorted.usage.candidatesTokenCount;
+        } catch (e) {
+            console.error('AI Sorter batch failed:', e.message);
+            // Fallback: return groups as unmerged
+            results = groups.map(g => ({
+                groupId: g.groupId, subGroup: null,
+                status: 'Error', mergedQuestion: g.repQuestion, mergedIndices: [0]
+            }));
+            validation = groups.map(g => ({ groupId: g.groupId, outcome: 'error', violations: [], repairs: [], error: e.message }));
         }
 
-        // Log to D1 only when frontend signals this is the last batch
-        if (logUsageOnLastBatch) {
-            await logUsage(c.env, c, 'ai_repeat_sorter', {
-                input: inputTokens, output: outputTokens,
-                total: inputTokens + outputTokens
-            }, totalGroupsForLog || groups.length);
-        }
+        // Every batch is billed; the group count is only recorded on the last one, which marks one sort run
+        await logUsage(c.env, c, 'ai_repeat_sorter', {
+            input: inputTokens, output: outputTokens,
+            total: inputTokens + outputTokens
+        }, logUsageOnLastBatch ? (totalGroupsForLog || groups.length) : 0, { model });
 
         return c.json({
             results,
+            validation,
+            unknown_group_ids: unknownGroupIds,
+            reasks,
+            budget_warning: budgetWarning(c),
             usage: { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens }
         });
     } catch (error) {
@@ -893,31 +1454,115 @@ app.post('/api/ai-sorter', async (c) => {
     }
 });
 
+// ══ Question Clustering Endpoint ═══════════════════════════════════════════
+// Builds AI Repeat Sorter groups on the server (see questionClustering.js). Input is either a
+// multipart upload (`file`, with the same sheet / headerRow / qTextColumn fields as /api/parse-excel)
+// or JSON { questions: [string | { text, row }] }. Options: threshold (0–1), useEmbeddings,
+// embeddingModel, minGroupSize. `groups` can be sent to /api/ai-sorter as is; `similarity` has the
+// source rows and scores per group, `singletons` the questions that matched nothing.
+app.post('/api/cluster-questions', enforceBudget(), async (c) => {
+    try {
+        let questions;
+        let options;
+        let source = null;
+        if ((c.req.header('Content-Type') || '').includes('multipart/form-data')) {
+            const body = await c.req.parseBody();
+            if (!body.file || !(body.file instanceof File)) {
+                return c.json({ error: 'No Excel file uploaded' }, 400);
+            }
+            const sheet = readQuestionColumn(await body.file.arrayBuffer(), excelParseOptions(body, body.file));
+            questions = sheet.questions;
+            source = { sheet: sheet.sheet, column: sheet.column };
+            options = body;
+        } else {
+            const body = await c.req.json();
+            if (!Array.isArray(body.questions)) {
+                return c.json({ error: 'questions array or an uploaded file is required' }, 400);
+            }
+            questions = body.questions
+                .map((q, i) => (typeof q === 'string' ? { row: i + 1, text: q } : { row: q?.row ?? i + 1, text: q?.text }))
+                .filter(q => typeof q.text === 'string' && q.text.trim());
+            options = body;
+        }
+        if (questions.length === 0) {
+            return c.json({ error: 'No questions to cluster' }, 400);
+        }
+        if (questions.length > MAX_CLUSTER_QUESTIONS) {
+            return c.json({ error: `Too many questions (${questions.length}); the limit is ${MAX_CLUSTER_QUESTIONS}` }, 400);
+        }
+
+        const threshold = options.threshold !== undefined && options.threshold !== '' ? parseFloat(options.threshold) : DEFAULT_CLUSTER_THRESHOLD;
+        if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+            return c.json({ error: 'threshold must be a number between 0 and 1' }, 400);
+        }
+        const minGroupSize = Math.max(1, parseInt(options.minGroupSize, 10) || 2);
+        const useEmbeddings = options.useEmbeddings === true || options.useEmbeddings === 'true';
+        const embeddingModel = useEmbeddings ? embeddingModelFor(c.env, options.embeddingModel) : null;
+
+        const clustered = await clusterQuestions(questions, {
+            threshold,
+            minGroupSize,
+            embeddings: useEmbeddings ? { env: c.env, model: embeddingModel } : false
+        });
+
+        if (clustered.usage) {
+            await logUsage(c.env, c, 'question_clustering', {
+                input: clustered.usage.promptTokenCount, output: 0,
+                total: clustered.usage.totalTokenCount || clustered.usage.promptTokenCount
+            }, source ? 1 : 0, { model: embeddingModel });
+        }
+
+        return c.json({
+            groups: clustered.groups,
+            similarity: clustered.similarity,
+            singletons: clustered.singletons,
+            source,
+            embedding_model: embeddingModel,
+            stats: clustered.stats,
+            budget_warning: budgetWarning(c)
+        });
+    } catch (error) {
+        console.error('Question clustering error:', error);
+        return c.json({ error: error.message }, error.status === 400 ? 400 : 500);
+    }
+});
+
 // ══ HITL Manual Sorter Merge Endpoint ══════════════════════════════════════
 // Accepts an array of question strings to synthesize into one
-app.post('/api/manual-sorter-merge', async (c) => {
+app.post('/api/manual-sorter-merge', enforceBudget(), async (c) => {
     try {
-        const { questions } = await c.req.json();
+        const { questions, model: requestedModel } = await c.req.json();
         if (!Array.isArray(questions) || questions.length === 0) {
             return c.json({ error: 'questions array is required' }, 400);
         }
+        const model = modelFor(c.env, 'sorter', requestedModel);
 
         let activePrompt = MANUAL_MERGE_PROMPT;
+        let promptVersionId = null;
         try {
-            const dbPrompt = await c.env.DB.prepare("SELECT content FROM prompts WHERE type = 'manual_sorter' ORDER BY created_at DESC LIMIT 1").first();
+            const dbPrompt = await c.env.DB.prepare("SELECT content FROM prompts WHERE type = 'manual_sorter' AND account_id = ? ORDER BY created_at DESC LIMIT 1").bind(getAccountId(c)).first();
             if (dbPrompt && dbPrompt.content) {
                 activePrompt = dbPrompt.content;
+                promptVersionId = await findPromptVersionId(c.env, getAccountId(c), activePrompt);
             }
         } catch (e) { console.error("Could not fetch manual sorter prompt", e); }
 
         const messages = [{ role: 'user', content: JSON.stringify(questions) }];
         
-        const aiRes = await chatWithGemini(messages, [], activePrompt, c.env);
+        const aiRes = await chatWithModel(messages, [], activePrompt, c.env, model);
         const resultText = aiRes.reply.replace(/```json|```/g, '').trim();
+        await logUsage(c.env, c, 'manual_sorter_merge', {
+            input: aiRes.usage.promptTokenCount || 0,
+            output: aiRes.usage.candidatesTokenCount || 0,
+            total: aiRes.usage.totalTokenCount || 0
+        }, 0, { model, promptVersionId });
 
         // Send normal mapped schema to frontend
         return c.json({
             mergedQuestion: resultText,
+            budget_warning: budgetWarning(c),
+            prompt_version_id: promptVersionId,
+            model,
             usage: {
                 input_tokens: aiRes.usage.promptTokenCount || 0,
                 output_tokens: aiRes.usage.candidatesTokenCount || 0,
@@ -930,18 +1575,219 @@ app.post('/api/manual-sorter-merge', async (c) => {
     }
 });
 
+// ══ Question Bank ══════════════════════════════════════════════════════════
+// Rows for /api/question-bank/import and /seen-before. Send one of:
+//   JSON { job_id }                      — the rows of a finished extraction job
+//   JSON { rows: [...], source_name }    — extraction rows held by the frontend
+//   multipart `file` (+ sheet, headerRow) — a restored / sorted workbook
+// Other JSON / form fields come back as `options`. Returns { response } when the request must be
+// answered with an error instead.
+async function readQuestionBankSource(c) {
+    if ((c.req.header('Content-Type') || '').includes('multipart/form-data')) {
+        const body = await c.req.parseBody();
+        if (!body.file || !(body.file instanceof File)) {
+            return { response: c.json({ error: 'No Excel file uploaded' }, 400) };
+        }
+        const sheet = readSheetRows(await body.file.arrayBuffer(), excelParseOptions(body, body.file));
+        return { rows: sheet.rows, source: 'workbook', sourceName: body.file.name, jobId: null, options: body };
+    }
+
+    const body = await c.req.json();
+    if (body.job_id) {
+        const job = await getJob(c.env, body.job_id);
+        const user = c.get('user');
+        if (!job || job.account_id !== getAccountId(c) || (job.user_email !== user.email && !hasRole(user, ROLES.ADMIN))) {
+            return { response: c.json({ error: 'Job not found' }, 404) };
+        }
+        if (job.status !== JOB_STATUS.SUCCEEDED) {
+            return { response: c.json({ error: `Job is ${job.status}; only finished extractions can be used` }, 409) };
+        }
+        return { rows: job.data || [], source: 'extraction', sourceName: job.file_name, jobId: job.id, options: body };
+    }
+    if (Array.isArray(body.rows)) {
+        return { rows: body.rows, source: 'extraction', sourceName: body.source_name || null, jobId: null, options: body };
+    }
+    return { response: c.json({ error: 'job_id, rows or an uploaded file is required' }, 400) };
+}
+
+// Embeddings for seen-before matching are on unless SEEN_BEFORE_EMBEDDINGS = "off" or the request
+// sends useEmbeddings=false
+function seenBeforeEmbeddingModel(c, options) {
+    const requested = options.useEmbeddings;
+    const enabled = requested === undefined || requested === '' ? c.env.SEEN_BEFORE_EMBEDDINGS !== 'off' : requested === true || requested === 'true';
+    return enabled ? embeddingModelFor(c.env, options.embeddingModel) : null;
+}
+
+async function logEmbeddingUsage(c, eventType, usage, model) {
+    if (!usage || !usage.totalTokenCount) return;
+    await logUsage(c.env, c, eventType, { input: usage.promptTokenCount || usage.totalTokenCount, output: 0, total: usage.totalTokenCount }, 1, { model });
+}
+
+// Import into the bank (see questionBank.js). Papers already in the bank are updated in place
+// (status 'updated' in the response). The new questions are embedded for seen-before matching;
+// if that fails the import still stands and `embedding_error` says why (they are embedded on a later match).
+app.post('/api/question-bank/import', requireRole(ROLES.EDITOR), enforceBudget(), async (c) => {
+    try {
+        const input = await readQuestionBankSource(c);
+        if (input.response) return input.response;
+        const { rows, source, sourceName, jobId, options } = input;
+
+        const result = await importQuestions(c.env, rows, {
+            accountId: getAccountId(c),
+            userEmail: getUserEmail(c),
+            source,
+            sourceName,
+            jobId
+        });
+        if (result.questions === 0) {
+            return c.json({ error: 'No questions found to import', skipped: result.skipped }, 400);
+        }
+
+        const model = seenBeforeEmbeddingModel(c, options);
+        let embeddingError = null;
+        if (model) {
+            try {
+                const embedded = await embedMissingQuestions(c.env, getAccountId(c), model, { paperIds: result.papers.map(p => p.id) });
+                await logEmbeddingUsage(c, 'question_embedding', embedded.usage, model);
+            } catch (e) {
+                console.error('Question bank embedding error:', e);
+                embeddingError = e.message;
+            }
+        }
+        return c.json({ ...result, embedding_model: model, embedding_error: embeddingError, budget_warning: budgetWarning(c) });
+    } catch (error) {
+        console.error('Question bank import error:', error);
+        return c.json({ error: error.message }, error.status === 400 ? 400 : 500);
+    }
+});
+
+// Which questions were asked before: same input as /import, plus threshold, maxMatches,
+// useEmbeddings and embeddingModel (see repeatMatcher.js for the SEEN_BEFORE_* defaults).
+// Returns rows[] with a `seen_before` list per question row (index = position in the input rows);
+// import=true also adds the paper to the bank afterwards and returns the import result as `imported`.
+app.post('/api/question-bank/seen-before', enforceBudget(), async (c) => {
+    try {
+        const input = await readQuestionBankSource(c);
+        if (input.response) return input.response;
+        const { rows, source, sourceName, jobId, options } = input;
+        const doImport = options.import === true || options.import === 'true';
+        if (doImport && !hasRole(c.get('user'), ROLES.EDITOR)) {
+            return c.json({ error: 'Forbidden', details: 'Importing into the question bank needs the editor role' }, 403);
+        }
+
+        const model = seenBeforeEmbeddingModel(c, options);
+        const matched = await findSeenBefore(c.env, getAccountId(c), rows, {
+            sourceName,
+            threshold: options.threshold,
+            maxMatches: options.maxMatches,
+            embeddingModel: model
+        });
+        await logEmbeddingUsage(c, 'seen_before', matched.usage, model);
+        if (matched.rows.length === 0) {
+            return c.json({ error: 'No questions found in the rows' }, 400);
+        }
+
+        let imported = null;
+        if (doImport) {
+            imported = await importQuestions(c.env, rows, { accountId: getAccountId(c), userEmail: getUserEmail(c), source, sourceName, jobId });
+        }
+        return c.json({ rows: matched.rows, stats: matched.stats, imported, budget_warning: budgetWarning(c) });
+    } catch (error) {
+        console.error('Seen-before error:', error);
+        return c.json({ error: error.message }, error.status === 400 ? 400 : 500);
+    }
+});
+
+// Full-text search: ?q= plus university / subject / paper / month_year / type / section / paper_id
+// filters and page / page_size (max 200)
+app.get('/api/question-bank/search', async (c) => {
+    try {
+        const query = c.req.query();
+        const result = await searchQuestions(c.env, getAccountId(c), {
+            ...query,
+            paperId: query.paper_id,
+            pageSize: query.page_size
+        });
+        return c.json(result);
+    } catch (error) {
+        console.error('Question bank search error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+app.get('/api/question-bank/papers', async (c) => {
+    try {
+        const query = c.req.query();
+        const result = await listPapers(c.env, getAccountId(c), { ...query, pageSize: query.page_size });
+        return c.json(result);
+    } catch (error) {
+        console.error('Question bank papers error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// ══ Repeat Report ══════════════════════════════════════════════════════════
+// Save an AI Repeat Sorter batch as report topics: { groups, results, subject } where groups is
+// what was sent to /api/ai-sorter and results what it returned
+app.post('/api/reports/repeat-topics', requireRole(ROLES.EDITOR), async (c) => {
+    try {
+        const { groups, results, subject } = await c.req.json();
+        if (!Array.isArray(groups) || !Array.isArray(results)) {
+            return c.json({ error: 'groups and results arrays are required' }, 400);
+        }
+        const saved = await saveRepeatTopics(c.env, getAccountId(c), getUserEmail(c), { groups, results, subject });
+        return c.json({ success: true, ...saved });
+    } catch (error) {
+        console.error('Save repeat topics error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// Most repeated topics in the question bank (see repeatReport.js).
+// ?subject= &university= &from= &to= (YYYY or YYYY-MM) &min_times= (default 2) &limit= &format=json|xlsx
+app.get('/api/reports/repeats', async (c) => {
+    try {
+        const format = c.req.query('format') || 'json';
+        if (!['json', 'xlsx'].includes(format)) {
+            return c.json({ error: "format must be 'json' or 'xlsx'" }, 400);
+        }
+        const report = await buildRepeatReport(c.env, getAccountId(c), {
+            subject: c.req.query('subject'),
+            university: c.req.query('university'),
+            from: c.req.query('from'),
+            to: c.req.query('to'),
+            minTimes: c.req.query('min_times'),
+            limit: c.req.query('limit')
+        });
+        if (format === 'json') {
+            return c.json(report);
+        }
+
+        const name = [c.req.query('subject'), c.req.query('from'), c.req.query('to')].filter(Boolean).join('_').replace(/[^A-Za-z0-9_-]+/g, '-');
+        return new Response(generateRepeatReportExcel(report), {
+            headers: {
+                'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                'Content-Disposition': `attachment; filename=repeat_report${name ? `_${name}` : ''}.xlsx`,
+            },
+        });
+    } catch (error) {
+        console.error('Repeat report error:', error);
+        return c.json({ error: error.message }, error.status === 400 ? 400 : 500);
+    }
+});
+
 // Global Analytics Ingestion Endpoint (Aggregate Push)
 app.post('/api/analytics', async (c) => {
     try {
         const body = await c.req.json();
-        const { eventType, tokenInput, tokenOutput, tokenTotal, fileCount } = body;
+        const { eventType, tokenInput, tokenOutput, tokenTotal, fileCount, model, promptVersionId } = body;
         
         c.executionCtx.waitUntil(
             logUsage(c.env, c, eventType || 'hitl_manual_session', {
                 input: tokenInput || 0,
                 output: tokenOutput || 0,
                 total: tokenTotal || ((tokenInput || 0) + (tokenOutput || 0))
-            }, fileCount || 1)
+            }, fileCount || 1, { model, promptVersionId })
         );
         
         return c.json({ success: true, message: 'Analytics recorded' });
@@ -951,113 +1797,316 @@ app.post('/api/analytics', async (c) => {
     }
 });
 
+// Accounts the caller can switch between (admins see every account)
+app.get('/api/accounts', async (c) => {
+    try {
+        const accounts = await listAccountsForUser(c.env, c.get('user'));
+        return c.json({ current: c.get('account'), accounts });
+    } catch (error) {
+        console.error('Fetch accounts error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// Account & Membership Management (admin)
+app.post('/api/admin/accounts', async (c) => {
+    try {
+        const { name } = await c.req.json();
+        if (!name || !String(name).trim()) {
+            return c.json({ error: 'Account name is required' }, 400);
+        }
+        const result = await c.env.DB.prepare('INSERT INTO accounts (name) VALUES (?) RETURNING *')
+            .bind(String(name).trim())
+            .first();
+        return c.json(result);
+    } catch (error) {
+        console.error('Create account error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+app.put('/api/admin/accounts/:id', async (c) => {
+    try {
+        const id = c.req.param('id');
+        const { name } = await c.req.json();
+        if (!name || !String(name).trim()) {
+            return c.json({ error: 'Account name is required' }, 400);
+        }
+        const result = await c.env.DB.prepare('UPDATE accounts SET name = ? WHERE id = ? RETURNING *')
+            .bind(String(name).trim(), id)
+            .first();
+        if (!result) return c.json({ error: 'Account not found' }, 404);
+        return c.json(result);
+    } catch (error) {
+        console.error('Update account error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+app.get('/api/admin/accounts/:id/members', async (c) => {
+    try {
+        const { results } = await c.env.DB.prepare('SELECT * FROM account_members WHERE account_id = ? ORDER BY user_email ASC')
+            .bind(c.req.param('id'))
+            .all();
+        return c.json(results || []);
+    } catch (error) {
+        console.error('Fetch account members error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+app.put('/api/admin/accounts/:id/members/:email', async (c) => {
+    try {
+        await c.env.DB.prepare('INSERT INTO account_members (account_id, user_email) VALUES (?, ?) ON CONFLICT DO NOTHING')
+            .bind(c.req.param('id'), c.req.param('email').toLowerCase())
+            .run();
+        return c.json({ success: true });
+    } catch (error) {
+        console.error('Add account member error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+app.delete('/api/admin/accounts/:id/members/:email', async (c) => {
+    try {
+        await c.env.DB.prepare('DELETE FROM account_members WHERE account_id = ? AND user_email = ?')
+            .bind(c.req.param('id'), c.req.param('email').toLowerCase())
+            .run();
+        return c.json({ success: true });
+    } catch (error) {
+        console.error('Remove account member error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// Token Budgets (admin) — budgets of the current account, each with this period's usage
+app.get('/api/admin/budgets', async (c) => {
+    try {
+        const accountId = getAccountId(c);
+        const budgets = await listBudgets(c.env, accountId);
+        const withStatus = await Promise.all(budgets.map(async b => {
+            const status = await getBudgetStatus(c.env, accountId, b.user_email);
+            return { ...b, limits: status.limits.filter(l => l.scope === (b.user_email ? 'user' : 'account')) };
+        }));
+        return c.json(withStatus);
+    } catch (error) {
+        console.error('Fetch budgets error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// Create or adjust a budget; omit user_email for the account-wide budget, null limits mean unlimited
+app.put('/api/admin/budgets', async (c) => {
+    try {
+        const body = await c.req.json();
+        for (const key of ['daily_limit', 'monthly_limit', 'warn_at_percent']) {
+            const value = body[key];
+            if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+                return c.json({ error: `${key} must be a non-negative integer or null` }, 400);
+            }
+        }
+        const result = await upsertBudget(c.env, getAccountId(c), body);
+        return c.json(result);
+    } catch (error) {
+        console.error('Update budget error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+app.delete('/api/admin/budgets/:id', async (c) => {
+    try {
+        await c.env.DB.prepare('DELETE FROM token_budgets WHERE id = ? AND account_id = ?').bind(c.req.param('id'), getAccountId(c)).run();
+        return c.json({ success: true });
+    } catch (error) {
+        console.error('Delete budget error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// User & Role Management (admin)
+app.get('/api/admin/users', async (c) => {
+    try {
+        const { results } = await c.env.DB.prepare('SELECT * FROM users ORDER BY email ASC').all();
+        return c.json(results || []);
+    } catch (error) {
+        console.error('Fetch users error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+app.put('/api/admin/users/:email', async (c) => {
+    try {
+        const email = c.req.param('email').toLowerCase();
+        const { role } = await c.req.json();
+        if (!Object.values(ROLES).includes(role)) {
+            return c.json({ error: `role must be one of: ${Object.values(ROLES).join(', ')}` }, 400);
+        }
+        const result = await c.env.DB.prepare(
+            'INSERT INTO users (email, role) VALUES (?, ?) ON CONFLICT(email) DO UPDATE SET role = EXCLUDED.role, updated_at = CURRENT_TIMESTAMP RETURNING *'
+        )
+            .bind(email, role)
+            .first();
+        return c.json(result);
+    } catch (error) {
+        console.error('Update user error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+app.delete('/api/admin/users/:email', async (c) => {
+    try {
+        const email = c.req.param('email').toLowerCase();
+        if (email === getUserEmail(c)) {
+            return c.json({ error: 'You cannot remove your own account' }, 400);
+        }
+        await c.env.DB.prepare('DELETE FROM users WHERE email = ?').bind(email).run();
+        return c.json({ success: true });
+    } catch (error) {
+        console.error('Delete user error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
 // Admin Analytics Endpoint (upgraded with per-feature breakdown + cost)
+// Costs are USD computed from model_pricing (see analytics.js)
 app.get('/api/admin/analytics', async (c) => {
     try {
-        const reqAccount = c.req.query('account') || 'Kumarmdkhare';
+        // Account comes from X-Account-Id / ?account_id= (see resolveAccount); admins can pick any account
+        const reqAccount = getAccountId(c);
         const reqUserEmail = c.req.query('userEmail');
         
-        let filterClause = "AND account_name = ?";
-        let params = [reqAccount];
+        let filterClause = "AND u.account_id = ?";
+        let params = [DEFAULT_MODEL, reqAccount];
         
         if (reqUserEmail) {
-            filterClause += " AND user_email = ?";
+            filterClause += " AND u.user_email = ?";
             params.push(reqUserEmail);
         }
 
         // All unique users
         const allUsers = await c.env.DB.prepare(
-            'SELECT DISTINCT user_email FROM usage_logs ORDER BY user_email ASC'
-        ).all();
+            'SELECT DISTINCT user_email FROM usage_logs WHERE account_id = ? ORDER BY user_email ASC'
+        ).bind(reqAccount).all();
 
         // Per-user per-feature breakdown (all time)
         const perUserFeature = await c.env.DB.prepare(`
             SELECT
-                user_email,
-                event_type,
+                u.user_email,
+                u.event_type,
                 COUNT(*) as operations,
-                SUM(token_input) as total_input,
-                SUM(token_output) as total_output,
-                SUM(token_total) as total_tokens,
-                MAX(DATETIME(created_at, '+5 hours', '+30 minutes')) as last_used
-            FROM usage_logs
+                SUM(u.token_input) as total_input,
+                SUM(u.token_output) as total_output,
+                SUM(u.token_total) as total_tokens,
+                ROUND(SUM(${COST_SQL}), 4) as total_cost,
+                MAX(DATETIME(u.created_at, '+5 hours', '+30 minutes')) as last_used
+            FROM usage_logs u
+            ${PRICING_JOIN}
             WHERE 1=1 ${filterClause}
-            GROUP BY user_email, event_type
-            ORDER BY user_email, total_tokens DESC
+            GROUP BY u.user_email, u.event_type
+            ORDER BY u.user_email, total_tokens DESC
         `).bind(...params).all();
 
         // Daily totals (last 30 days, IST)
         const dailyTotals = await c.env.DB.prepare(`
             SELECT
-                DATE(created_at, '+5 hours', '+30 minutes') as date,
-                SUM(token_total) as total_tokens,
-                SUM(token_input) as total_input,
-                SUM(token_output) as total_output,
-                COUNT(CASE WHEN event_type = 'extraction' THEN 1 END) as extractions,
-                COUNT(CASE WHEN event_type = 'excel_merger' THEN 1 END) as context_restorations,
-                COUNT(CASE WHEN event_type = 'ai_repeat_sorter' THEN 1 END) as repeat_sorts,
-                COUNT(CASE WHEN event_type = 'chat' THEN 1 END) as chats,
-                COUNT(DISTINCT user_email) as active_users
-            FROM usage_logs
+                DATE(u.created_at, '+5 hours', '+30 minutes') as date,
+                SUM(u.token_total) as total_tokens,
+                SUM(u.token_input) as total_input,
+                SUM(u.token_output) as total_output,
+                ROUND(SUM(${COST_SQL}), 4) as total_cost,
+                COUNT(CASE WHEN u.event_type = 'extraction' THEN 1 END) as extractions,
+                COUNT(CASE WHEN u.event_type = 'excel_merger' AND u.file_count > 0 THEN 1 END) as context_restorations,
+                COUNT(CASE WHEN u.event_type = 'ai_repeat_sorter' AND u.file_count > 0 THEN 1 END) as repeat_sorts,
+                COUNT(CASE WHEN u.event_type = 'chat' THEN 1 END) as chats,
+                COUNT(DISTINCT u.user_email) as active_users
+            FROM usage_logs u
+            ${PRICING_JOIN}
             WHERE 1=1 ${filterClause}
-            GROUP BY DATE(created_at, '+5 hours', '+30 minutes')
-            ORDER BY DATE(created_at, '+5 hours', '+30 minutes') DESC
+            GROUP BY DATE(u.created_at, '+5 hours', '+30 minutes')
+            ORDER BY DATE(u.created_at, '+5 hours', '+30 minutes') DESC
             LIMIT 30
         `).bind(...params).all();
 
         // Today's user breakdown (IST)
         const userBreakdown = await c.env.DB.prepare(`
             SELECT
-                user_email,
-                SUM(token_total) as total_tokens,
-                SUM(token_input) as total_input,
-                SUM(token_output) as total_output,
+                u.user_email,
+                SUM(u.token_total) as total_tokens,
+                SUM(u.token_input) as total_input,
+                SUM(u.token_output) as total_output,
+                ROUND(SUM(${COST_SQL}), 4) as total_cost,
                 COUNT(*) as events,
-                MAX(DATETIME(created_at, '+5 hours', '+30 minutes')) as last_active
-            FROM usage_logs
-            WHERE DATE(created_at, '+5 hours', '+30 minutes') = DATE('now', '+5 hours', '+30 minutes')
+                MAX(DATETIME(u.created_at, '+5 hours', '+30 minutes')) as last_active
+            FROM usage_logs u
+            ${PRICING_JOIN}
+            WHERE DATE(u.created_at, '+5 hours', '+30 minutes') = DATE('now', '+5 hours', '+30 minutes')
             ${filterClause}
-            GROUP BY user_email
+            GROUP BY u.user_email
             ORDER BY total_tokens DESC
         `).bind(...params).all();
 
         // Recent activity
         const recentActivity = await c.env.DB.prepare(`
             SELECT
-                id,
-                user_email,
-                event_type,
-                token_input,
-                token_output,
-                token_total,
-                file_count,
-                DATETIME(created_at, '+5 hours', '+30 minutes') as created_at
-            FROM usage_logs
+                u.id,
+                u.user_email,
+                u.event_type,
+                u.model,
+                u.token_input,
+                u.token_output,
+                u.token_total,
+                ROUND(${COST_SQL}, 6) as cost,
+                u.file_count,
+                DATETIME(u.created_at, '+5 hours', '+30 minutes') as created_at
+            FROM usage_logs u
+            ${PRICING_JOIN}
             WHERE 1=1 ${filterClause}
-            ORDER BY id DESC
+            ORDER BY u.id DESC
             LIMIT 30
         `).bind(...params).all();
 
         // All-time totals per feature (for summary cards)
         const featureTotals = await c.env.DB.prepare(`
             SELECT
-                event_type,
+                u.event_type,
+                COUNT(*) as operations,
+                SUM(u.token_input) as total_input,
+                SUM(u.token_output) as total_output,
+                SUM(u.token_total) as total_tokens,
+                ROUND(SUM(${COST_SQL}), 4) as total_cost
+            FROM usage_logs u
+            ${PRICING_JOIN}
+            WHERE 1=1 ${filterClause}
+            GROUP BY u.event_type
+        `).bind(...params).all();
+
+        // All-time totals per model; priced = 0 flags models missing from model_pricing
+        const modelTotals = await c.env.DB.prepare(`
+            SELECT
+                COALESCE(u.model, p.model, 'unknown') as model,
                 COUNT(*) as operations,
-                SUM(token_input) as total_input,
-                SUM(token_output) as total_output,
-                SUM(token_total) as total_tokens
-            FROM usage_logs
+                SUM(u.token_input) as total_input,
+                SUM(u.token_output) as total_output,
+                SUM(u.token_total) as total_tokens,
+                ROUND(SUM(${COST_SQL}), 4) as total_cost,
+                MAX(p.model IS NOT NULL) as priced
+            FROM usage_logs u
+            ${PRICING_JOIN}
             WHERE 1=1 ${filterClause}
-            GROUP BY event_type
+            GROUP BY COALESCE(u.model, p.model, 'unknown')
+            ORDER BY total_cost DESC
         `).bind(...params).all();
 
         return c.json({
+            account: c.get('account'),
+            currency: 'USD',
             allUsers: allUsers.results ? allUsers.results.map(r => r.user_email) : [],
             perUserFeature: perUserFeature.results || [],
             dailyTotals: dailyTotals.results || [],
             userBreakdown: userBreakdown.results || [],
             recentActivity: recentActivity.results || [],
-            featureTotals: featureTotals.results || []
+            featureTotals: featureTotals.results || [],
+            modelTotals: modelTotals.results || []
         });
     } catch (error) {
         console.error('Analytics error:', error);
@@ -1065,4 +2114,135 @@ app.get('/api/admin/analytics', async (c) => {
     }
 });
 
-export default app;
+// Usage ledger export for finance: ?format=csv|json&from=YYYY-MM-DD&to=YYYY-MM-DD (IST dates, inclusive)
+app.get('/api/admin/analytics/export', async (c) => {
+    try {
+        const format = c.req.query('format') || 'csv';
+        const from = c.req.query('from');
+        const to = c.req.query('to');
+        const userEmail = c.req.query('userEmail');
+
+        if (!['csv', 'json'].includes(format)) {
+            return c.json({ error: "format must be 'csv' or 'json'" }, 400);
+        }
+        const isDate = (d) => !d || /^\d{4}-\d{2}-\d{2}$/.test(d);
+        if (!isDate(from) || !isDate(to)) {
+            return c.json({ error: 'from and to must be dates in YYYY-MM-DD format' }, 400);
+        }
+
+        const rows = await fetchUsageLedger(c.env, getAccountId(c), { from, to, userEmail });
+        if (format === 'json') {
+            return c.json(rows);
+        }
+
+        const filename = `usage_ledger_${from || 'start'}_${to || 'today'}.csv`;
+        return new Response(ledgerToCsv(rows), {
+            headers: {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename=${filename}`,
+            },
+        });
+    } catch (error) {
+        console.error('Analytics export error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// Model Pricing (admin) — USD per million input / output tokens
+app.get('/api/admin/pricing', async (c) => {
+    try {
+        const { results } = await c.env.DB.prepare('SELECT * FROM model_pricing ORDER BY model ASC').all();
+        return c.json(results || []);
+    } catch (error) {
+        console.error('Fetch pricing error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// Circuit breaker state of this isolate (see llmClient.js)
+app.get('/api/admin/llm-health', (c) => {
+    return c.json({ circuits: getCircuitStates(c.env) });
+});
+
+// Recorded LLM fixtures (LLM_FIXTURE_MODE=record), newest first
+app.get('/api/admin/llm-fixtures', async (c) => {
+    try {
+        const limit = Math.min(parseInt(c.req.query('limit'), 10) || 100, 500);
+        return c.json(await listFixtures(c.env, limit));
+    } catch (error) {
+        console.error('Fetch LLM fixtures error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+app.delete('/api/admin/llm-fixtures/:key', async (c) => {
+    try {
+        await c.env.DB.prepare('DELETE FROM llm_fixtures WHERE fixture_key = ?').bind(c.req.param('key')).run();
+        return c.json({ success: true });
+    } catch (error) {
+        console.error('Delete LLM fixture error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+app.put('/api/admin/pricing/:model', async (c) => {
+    try {
+        const model = c.req.param('model');
+        const { input_per_million, output_per_million } = await c.req.json();
+        if (typeof input_per_million !== 'number' || typeof output_per_million !== 'number' || input_per_million < 0 || output_per_million < 0) {
+            return c.json({ error: 'input_per_million and output_per_million must be non-negative numbers' }, 400);
+        }
+        const result = await c.env.DB.prepare(`
+            INSERT INTO model_pricing (model, input_per_million, output_per_million) VALUES (?, ?, ?)
+            ON CONFLICT(model) DO UPDATE SET input_per_million = EXCLUDED.input_per_million, output_per_million = EXCLUDED.output_per_million, updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `)
+            .bind(model, input_per_million, output_per_million)
+            .first();
+        return c.json(result);
+    } catch (error) {
+        console.error('Update pricing error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+app.delete('/api/admin/pricing/:model', async (c) => {
+    try {
+        await c.env.DB.prepare('DELETE FROM model_pricing WHERE model = ?').bind(c.req.param('model')).run();
+        return c.json({ success: true });
+    } catch (error) {
+        console.error('Delete pricing error:', error);
+        return c.json({ error: error.message }, 500);
+    }
+});
+
+// Cron trigger (see wrangler.toml): purge expired generated files from R2 and D1
+async function scheduled(event, env, ctx) {
+    ctx.waitUntil(purgeExpiredFiles(env));
+}
+
+// Queue consumer (see wrangler.toml): runs the extraction jobs /api/extract queued. runExtractionJob
+// records failures on the job row itself; a redelivered message for a finished job is skipped.
+async function queue(batch, env) {
+    for (const message of batch.messages) {
+        const { jobId } = message.body;
+        try {
+            const input = await loadJobInput(env, jobId);
+            if (!input) {
+                await failJob(env, jobId, new Error('Job input is missing'));
+            } else if (input.status === JOB_STATUS.QUEUED || input.status === JOB_STATUS.RUNNING) {
+                await runExtractionJob(env, jobId, { pdfBytes: input.pdfBytes, ...input.options });
+            }
+            await deleteJobInput(env, jobId);
+        } catch (e) {
+            console.error(`Extraction queue error for job ${jobId}:`, e);
+        }
+        message.ack();
+    }
+}
+
+export default {
+    fetch: app.fetch,
+    scheduled,
+    queue
+};
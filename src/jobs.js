@@ -0,0 +1,114 @@
+import crypto from 'node:crypto';
+
+// Extraction jobs (D1) — /api/extract returns a job id straight away and the
+// frontend polls /api/jobs/:id while the EXTRACTION_QUEUE consumer runs the job.
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+// A running job still unfinished this long after its attempt started was most likely killed with its
+// isolate (queue consumers get 15 minutes of wall time)
+const STALE_JOB_MINUTES = 15;
+// Queued jobs wait for the consumer however long the queue is; they are only given up once the queue
+// itself would have dropped the message (default retention: 4 days)
+const QUEUED_JOB_DAYS = 4;
+
+export async function createJob(env, { userEmail, accountId, fileName, model, temperature, promptVersionId }) {
+    const id = crypto.randomUUID();
+    await env.DB.prepare(
+        'INSERT INTO extraction_jobs (id, user_email, account_id, file_name, model, temperature, prompt_version_id, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+    ).bind(id, userEmail, accountId, fileName || null, model, temperature, promptVersionId || null, JOB_STATUS.QUEUED).run();
+    return id;
+}
+
+export async function markJobRunning(env, id) {
+    await env.DB.prepare(
+        'UPDATE extraction_jobs SET status = ?, attempts = attempts + 1, error = NULL, started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+    ).bind(JOB_STATUS.RUNNING, id).run();
+}
+
+// Progress heartbeat (once per page window) so pollers can see a long job is still moving
+export async function touchJob(env, id) {
+    await env.DB.prepare('UPDATE extraction_jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').bind(id).run();
+}
+
+// result is { data, usage, ...extra }; the extra keys (e.g. windows) are returned alongside data when polled
+export async function completeJob(env, id, result) {
+    const { usage, ...payload } = result;
+    await env.DB.prepare(
+        'UPDATE extraction_jobs SET status = ?, result_json = ?, usage_json = ?, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+    ).bind(JOB_STATUS.SUCCEEDED, JSON.stringify(payload), JSON.stringify(usage || {}), id).run();
+}
+
+export async function failJob(env, id, error) {
+    await env.DB.prepare(
+        'UPDATE extraction_jobs SET status = ?, error = ?, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+    ).bind(JOB_STATUS.FAILED, error.message || String(error), id).run();
+}
+
+// The queue message only carries the job id: the PDF waits in R2 and the run options on the job row
+function jobInputKey(id) {
+    return `jobs/${id}/input.pdf`;
+}
+
+export async function saveJobInput(env, id, pdfBytes, options) {
+    await env.GENERATED_FILES.put(jobInputKey(id), pdfBytes, { httpMetadata: { contentType: 'application/pdf' } });
+    await env.DB.prepare('UPDATE extraction_jobs SET input_json = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+        .bind(JSON.stringify(options), id)
+        .run();
+}
+
+// { status, pdfBytes, options }, or null when the job or its input is gone
+export async function loadJobInput(env, id) {
+    const row = await env.DB.prepare('SELECT status, input_json FROM extraction_jobs WHERE id = ?').bind(id).first();
+    if (!row || !row.input_json) return null;
+    const object = await env.GENERATED_FILES.get(jobInputKey(id));
+    if (!object) return null;
+    return { status: row.status, pdfBytes: new Uint8Array(await object.arrayBuffer()), options: JSON.parse(row.input_json) };
+}
+
+export async function deleteJobInput(env, id) {
+    await env.GENERATED_FILES.delete(jobInputKey(id));
+    await env.DB.prepare('UPDATE extraction_jobs SET input_json = NULL WHERE id = ?').bind(id).run();
+}
+
+async function expireStaleJobs(env) {
+    await env.DB.prepare(
+        `UPDATE extraction_jobs
+         SET status = ?, error = CASE WHEN status = ? THEN 'Job was never picked up from the queue' ELSE 'Job timed out before finishing' END,
+             completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE (status = ? AND started_at < DATETIME('now', '-${STALE_JOB_MINUTES} minutes'))
+            OR (status = ? AND created_at < DATETIME('now', '-${QUEUED_JOB_DAYS} days'))`
+    ).bind(JOB_STATUS.FAILED, JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.QUEUED).run();
+}
+
+export async function getJob(env, id) {
+    await expireStaleJobs(env);
+    const row = await env.DB.prepare('SELECT * FROM extraction_jobs WHERE id = ?').bind(id).first();
+    return row ? serializeJob(row) : null;
+}
+
+// Recent jobs for one user within an account, without the (potentially large) result payload
+export async function listJobs(env, accountId, userEmail, limit = 20) {
+    await expireStaleJobs(env);
+    const { results } = await env.DB.prepare(`
+        SELECT id, user_email, account_id, file_name, model, prompt_version_id, status, error, attempts, created_at, started_at, completed_at
+        FROM extraction_jobs
+        WHERE account_id = ? AND user_email = ?
+        ORDER BY created_at DESC
+        LIMIT ?
+    `).bind(accountId, userEmail, limit).all();
+    return results || [];
+}
+
+function serializeJob(row) {
+    const { result_json, usage_json, input_json, ...job } = row;
+    return {
+        ...job,
+        ...(result_json ? JSON.parse(result_json) : { data: null }),
+        usage: usage_json ? JSON.parse(usage_json) : null
+    };
+}
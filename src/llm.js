@@ -0,0 +1,454 @@
+import { vertexProvider, DEFAULT_MODEL, DEFAULT_EMBEDDING_MODEL } from './vertexAi.js';
+import { openAiProvider } from './openAiProvider.js';
+import { fixturesEnabled, withFixtures } from './llmFixtures.js';
+import { generate, generateStream, embed } from './llmClient.js';
+import { findKey } from './rowKeys.js';
+import { PSV_HEADERS, isPsvHeader, parsePsvHeader, parsePsvLine, createRowParser } from './rowStream.js';
+
+export { DEFAULT_MODEL, DEFAULT_EMBEDDING_MODEL };
+
+// Provider-neutral LLM layer. Routes call extractFromPdf / chatWithModel with a model spec:
+//   'gemini-2.5-flash'          → default provider (LLM_PROVIDER, 'vertex' if unset)
+//   'openai:qwen2.5-vl-72b'     → the OpenAI-compatible endpoint at OPENAI_BASE_URL
+//   'vertex:gemini-2.5-pro'     → Vertex explicitly
+// The spec is also what usage_logs.model records, so model_pricing rows are keyed by it.
+//
+// A provider is { name, modelLimit, generate(env, model, request) } where request is
+// { contents, temperature, maxOutputTokens } with Gemini-shaped contents
+// ([{ role: 'user' | 'model', parts: [{ text } | { inlineData: { mimeType, data } }] }]) and the
+// result is { text, finishReason, usage }. finishReason 'MAX_TOKENS' means the output limit was
+// hit; usage always uses Gemini's field names (promptTokenCount, candidatesTokenCount,
+// totalTokenCount) so logUsage and analytics work the same for every provider. Providers make a
+// single attempt and throw errors with .status; retries happen in llmClient.js.
+// Providers may also offer stream(env, model, request, onText) and embed(env, model, texts) → { vectors, usage }.
+const PROVIDERS = {
+    [vertexProvider.name]: vertexProvider,
+    [openAiProvider.name]: openAiProvider
+};
+
+// Features whose model can be configured separately with MODEL_<FEATURE> (e.g. MODEL_CHAT)
+export const LLM_FEATURES = ['extract', 'classify', 'merge', 'restore', 'sorter', 'chat'];
+
+/**
+ * Model spec for a feature: the request's `model` field, else MODEL_<FEATURE>, else
+ * LLM_DEFAULT_MODEL, else DEFAULT_MODEL.
+ */
+export function modelFor(env, feature, requested) {
+    return requested || env[`MODEL_${feature.toUpperCase()}`] || env.LLM_DEFAULT_MODEL || DEFAULT_MODEL;
+}
+
+// Embedding models are separate from the generation models: the request's model, else MODEL_EMBED,
+// else DEFAULT_EMBEDDING_MODEL
+export function embeddingModelFor(env, requested) {
+    return requested || env.MODEL_EMBED || DEFAULT_EMBEDDING_MODEL;
+}
+
+// 'openai:llama3:8b' → { provider: openAiProvider, model: 'llama3:8b' }
+// The provider is wrapped for record/replay/fault injection when that is configured (llmFixtures.js).
+function resolveModel(env, spec = DEFAULT_MODEL) {
+    const separator = spec.indexOf(':');
+    const prefix = separator > 0 ? spec.slice(0, separator) : null;
+    let provider;
+    let model = spec;
+    if (prefix && PROVIDERS[prefix]) {
+        provider = PROVIDERS[prefix];
+        model = spec.slice(separator + 1);
+    } else {
+        const name = env.LLM_PROVIDER || vertexProvider.name;
+        provider = PROVIDERS[name];
+        if (!provider) {
+            throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+        }
+    }
+    return { provider: fixturesEnabled(env) ? withFixtures(provider) : provider, model };
+}
+
+// Follow-up turns sent when the model stops at its output limit (finishReason MAX_TOKENS)
+const EXTRACTION_CONTINUE_PROMPT = "Your previous answer was cut off by the output limit. Continue the extraction from the first row you did not finish, in the same format and with the same columns. " +
+    "Do NOT repeat rows that were already complete. If you were writing JSON, start a new JSON array. If you were writing pipe-separated lines, repeat the header line first.";
+const CHAT_CONTINUE_PROMPT = 'Your previous reply was cut off by the output limit. Continue exactly where you stopped, without repeating anything and without any preamble.';
+
+function getMaxContinuations(env) {
+    const max = parseInt(env.MAX_CONTINUATIONS ?? 3, 10);
+    return isNaN(max) || max < 0 ? 3 : max;
+}
+
+function addUsage(total, usageMetadata = {}) {
+    total.promptTokenCount = (total.promptTokenCount || 0) + (usageMetadata.promptTokenCount || 0);
+    total.candidatesTokenCount = (total.candidatesTokenCount || 0) + (usageMetadata.candidatesTokenCount || 0);
+    total.totalTokenCount = (total.totalTokenCount || 0) + (usageMetadata.totalTokenCount || 0);
+}
+
+function buildExtractionRequest(pdfBase64, customPrompt, temperature) {
+    const parts = [];
+    if (pdfBase64) {
+        parts.push({
+            inlineData: {
+                mimeType: 'application/pdf',
+                data: pdfBase64,
+            },
+        });
+    }
+    return {
+        contents: [
+            {
+                role: 'user',
+                parts: [
+                    ...parts,
+                    {
+                        text: "### SYSTEM INSTRUCTIONS: STRICT OCR EXTRACTION MODE ###\n" +
+                            "You are a robotic scanning tool. Your ONLY job is to extract text exactly as it is physically printed on the page. Do NOT use your medical training to 'finish' or 'repair' questions.\n\n" +
+                            "### MISSION CRITICAL RULES ###\n" +
+                            "1. TOP-DOWN SCAN: Process the document strictly from Top-Left to Bottom-Right. Maintain the original sequence of questions. Do NOT reorder them.\n" +
+                            "2. INK-ONLY POLICY: Extract ONLY the literal ink on the page. If the PDF says something, extract it. If it doesn't, DO NOT add it. Do NOT 'help' by adding common medical questions or topics.\n" +
+                            "3. ZERO HALLUCINATION: If you add a single medical concept or question that isn't physically visible, the task is a failure. No external knowledge allowed.\n" +
+                            "4. STOP PROTOCOL: Stop generating immediately once the printed text ends. Do NOT append your own examples or meta-commentary.\n\n" +
+                            "### SPECIFIC EXTRACTION PROMPT ###\n" +
+                            (customPrompt || 'Extract all relevant information from this question paper. Format the output as a JSON array of objects. For very long papers, you may use a Pipe-Separated list (PSV) with headers to stay within limits. Columns: S.No, Question, Paper, Subject, Month Year, Type, Section, University Name, CBME, Supplementary.') +
+                            '\n\n### FINAL ENFORCEMENT ###: Output ONLY the requested data format (JSON/PSV). Zero creativity allowed.'
+                    }
+                ],
+            },
+        ],
+        temperature: typeof temperature === 'number' && !isNaN(temperature) ? temperature : 0.0,
+        maxOutputTokens: 65535,
+    };
+}
+
+export async function extractFromPdf(pdfBase64, customPrompt, temperature, env, model = DEFAULT_MODEL, options = {}) {
+    const { provider, model: providerModel } = resolveModel(env, model);
+    console.log(`Starting extraction using ${providerModel} (${provider.name})`);
+
+    let request = buildExtractionRequest(pdfBase64, customPrompt, temperature);
+
+    let response = await generate(env, provider, providerModel, request, options);
+    let { text, finishReason } = response;
+    let extractedData = parseResponse(text);
+
+    // Optimization: Clear large objects immediately
+    const usageInfo = {
+        ...response.usage,
+        modelLimit: provider.modelLimit,
+        maxOutputTokens: request.maxOutputTokens
+    };
+
+    // Output limit hit: ask the model to carry on and stitch the rows together
+    const truncated = finishReason === 'MAX_TOKENS';
+    let continuations = 0;
+    const maxContinuations = getMaxContinuations(env);
+    while (finishReason === 'MAX_TOKENS' && continuations < maxContinuations) {
+        continuations++;
+        console.log(`Extraction hit MAX_TOKENS, requesting continuation ${continuations}/${maxContinuations}`);
+        request.contents.push(
+            { role: 'model', parts: [{ text }] },
+            { role: 'user', parts: [{ text: EXTRACTION_CONTINUE_PROMPT }] }
+        );
+        response = await generate(env, provider, providerModel, request, options);
+        ({ text, finishReason } = response);
+        addUsage(usageInfo, response.usage);
+
+        let moreRows;
+        try {
+            moreRows = parseResponse(text);
+        } catch (e) {
+            console.error('Could not parse continuation, keeping rows received so far:', e.message);
+            break;
+        }
+        extractedData = mergeContinuationRows(extractedData, moreRows);
+    }
+
+    // Nullify huge objects to free memory in Cloudflare Worker
+    pdfBase64 = null;
+    request = null;
+    response = null;
+
+    return {
+        data: extractedData,
+        usage: usageInfo,
+        truncated,
+        continuations,
+        incomplete: finishReason === 'MAX_TOKENS'
+    };
+}
+
+/**
+ * Streaming variant of extractFromPdf: onRow(row, index, replaced) is called as soon as each row
+ * is complete. A continuation turn may repeat the row that was cut off at the output limit; a
+ * longer copy is re-sent with the same index and replaced = true. Resolves like extractFromPdf.
+ */
+export async function streamExtractFromPdf(pdfBase64, customPrompt, temperature, env, model = DEFAULT_MODEL, options = {}) {
+    const { provider, model: providerModel } = resolveModel(env, model);
+    console.log(`Starting streamed extraction using ${providerModel} (${provider.name})`);
+    const onRow = options.onRow || (() => {});
+
+    let request = buildExtractionRequest(pdfBase64, customPrompt, temperature);
+    const rows = [];
+    let overlapCheck = false; // True at the start of a continuation turn
+    let tailStart = 0;
+
+    const acceptRows = async (newRows) => {
+        for (const row of newRows) {
+            if (overlapCheck) {
+                let matchIdx = -1;
+                for (let i = rows.length - 1; i >= tailStart; i--) {
+                    if (sameRow(rows[i], row)) { matchIdx = i; break; }
+                }
+                if (matchIdx !== -1) {
+                    if (JSON.stringify(row).length > JSON.stringify(rows[matchIdx]).length) {
+                        rows[matchIdx] = row;
+                        await onRow(row, matchIdx, true);
+                    }
+                    continue;
+                }
+                overlapCheck = false;
+            }
+            rows.push(row);
+            await onRow(row, rows.length - 1, false);
+        }
+    };
+
+    const streamTurn = async () => {
+        const parser = createRowParser();
+        const response = await generateStream(env, provider, providerModel, request, {
+            ...options,
+            onText: (text) => acceptRows(parser.push(text))
+        });
+        await acceptRows(parser.end());
+        return response;
+    };
+
+    let response = await streamTurn();
+    let { text, finishReason } = response;
+    const usageInfo = {
+        ...response.usage,
+        modelLimit: provider.modelLimit,
+        maxOutputTokens: request.maxOutputTokens
+    };
+
+    const truncated = finishReason === 'MAX_TOKENS';
+    let continuations = 0;
+    const maxContinuations = getMaxContinuations(env);
+    while (finishReason === 'MAX_TOKENS' && continuations < maxContinuations) {
+        continuations++;
+        console.log(`Streamed extraction hit MAX_TOKENS, requesting continuation ${continuations}/${maxContinuations}`);
+        request.contents.push(
+            { role: 'model', parts: [{ text }] },
+            { role: 'user', parts: [{ text: EXTRACTION_CONTINUE_PROMPT }] }
+        );
+        overlapCheck = true;
+        tailStart = Math.max(0, rows.length - 3);
+        response = await streamTurn();
+        ({ text, finishReason } = response);
+        addUsage(usageInfo, response.usage);
+    }
+
+    // Nothing could be parsed incrementally: fall back to the batch parser so errors read the same
+    if (rows.length === 0) {
+        await acceptRows(parseResponse(text));
+    }
+
+    pdfBase64 = null;
+    request = null;
+
+    return {
+        data: rows,
+        usage: usageInfo,
+        truncated,
+        continuations,
+        incomplete: finishReason === 'MAX_TOKENS'
+    };
+}
+
+const EMBED_BATCH_SIZE = 100;
+
+/**
+ * Embedding vectors for `texts`, in order, sent in batches of EMBED_BATCH_SIZE.
+ * @param {string} model - embedding model spec (see embeddingModelFor)
+ * @returns {Promise<{ vectors: number[][], usage: object }>}
+ */
+export async function embedTexts(texts, env, model = DEFAULT_EMBEDDING_MODEL, options = {}) {
+    const { provider, model: providerModel } = resolveModel(env, model);
+    const vectors = [];
+    const usage = {};
+    for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+        const result = await embed(env, provider, providerModel, texts.slice(i, i + EMBED_BATCH_SIZE), options);
+        vectors.push(...result.vectors);
+        addUsage(usage, result.usage);
+    }
+    return { vectors, usage };
+}
+
+/**
+ * Multi-turn chat, supporting file attachments and prompt context.
+ * @param {Array} messages - Array of { role: 'user' | 'model', content: string }
+ * @param {Array} attachments - Array of { mimeType: string, base64: string }
+ * @param {string} promptContext - Optional system prompt/context
+ * @param {object} env - Cloudflare environment bindings
+ * @param {string} model - model spec (see modelFor)
+ * @param {object} options - { onRetry } passed to the LLM client (llmClient.js)
+ */
+export async function chatWithModel(messages, attachments, promptContext, env, model = DEFAULT_MODEL, options = {}) {
+    const { provider, model: providerModel } = resolveModel(env, model);
+
+    // Build the contents array for multi-turn conversation
+    const contents = [];
+
+    // Add system context as the first "user" message if provided
+    if (promptContext) {
+        contents.push({
+            role: 'user',
+            parts: [{ text: `[System Context - Current Prompt]:\n${promptContext}\n\n---\nYou are a helpful AI assistant. Use the above prompt as context to help the user refine it or answer questions about attached files.` }]
+        });
+        contents.push({
+            role: 'model',
+            parts: [{ text: 'Understood. I have the prompt context loaded. How can I help you?' }]
+        });
+    }
+
+    // Add conversation history
+    for (const msg of messages) {
+        const parts = [];
+
+        // For the latest user message, include attachments
+        if (msg.role === 'user' && msg === messages[messages.length - 1] && attachments && attachments.length > 0) {
+            for (const att of attachments) {
+                parts.push({
+                    inlineData: {
+                        mimeType: att.mimeType,
+                        data: att.base64
+                    }
+                });
+            }
+        }
+
+        parts.push({ text: msg.content });
+        contents.push({ role: msg.role, parts });
+    }
+
+    const request = {
+        contents,
+        temperature: 0.7,
+        maxOutputTokens: 4096
+    };
+
+    let response = await generate(env, provider, providerModel, request, options);
+    let { text: reply, finishReason } = response;
+    const usage = { ...response.usage };
+
+    // Output limit hit: ask the model to continue and append the pieces verbatim
+    const truncated = finishReason === 'MAX_TOKENS';
+    let continuations = 0;
+    const maxContinuations = getMaxContinuations(env);
+    let lastPiece = reply;
+    while (finishReason === 'MAX_TOKENS' && continuations < maxContinuations) {
+        continuations++;
+        console.log(`[LLM] Chat reply hit MAX_TOKENS, requesting continuation ${continuations}/${maxContinuations}`);
+        request.contents.push(
+            { role: 'model', parts: [{ text: lastPiece }] },
+            { role: 'user', parts: [{ text: CHAT_CONTINUE_PROMPT }] }
+        );
+        response = await generate(env, provider, providerModel, request, options);
+        ({ text: lastPiece, finishReason } = response);
+        addUsage(usage, response.usage);
+        reply += lastPiece;
+    }
+
+    return { reply, usage, truncated, continuations, incomplete: finishReason === 'MAX_TOKENS' };
+}
+
+// Identity check for rows on either side of a continuation boundary. The row the model was
+// writing when it hit the limit may be cut short, so a question that is a prefix of the other counts.
+function sameRow(a, b) {
+    const sNoA = findKey(a, 'sno');
+    const sNoB = findKey(b, 'sno');
+    if (sNoA && sNoB && String(a[sNoA]).trim() !== String(b[sNoB]).trim()) return false;
+
+    const qA = findKey(a, 'question');
+    const qB = findKey(b, 'question');
+    if (!qA || !qB) return JSON.stringify(a) === JSON.stringify(b);
+    const textA = String(a[qA] || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    const textB = String(b[qB] || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!textA || !textB) return textA === textB;
+    return textA.startsWith(textB) || textB.startsWith(textA);
+}
+
+// Append continuation rows, dropping the overlap the model repeats at the start of a new turn
+function mergeContinuationRows(rows, moreRows) {
+    const tailStart = Math.max(0, rows.length - 3);
+    let skip = 0;
+    while (skip < moreRows.length) {
+        const next = moreRows[skip];
+        let matchIdx = -1;
+        for (let i = rows.length - 1; i >= tailStart; i--) {
+            if (sameRow(rows[i], next)) { matchIdx = i; break; }
+        }
+        if (matchIdx === -1) break;
+        // Keep whichever copy is longer — the earlier one may be the half-written row
+        if (JSON.stringify(next).length > JSON.stringify(rows[matchIdx]).length) rows[matchIdx] = next;
+        skip++;
+    }
+    return rows.concat(moreRows.slice(skip));
+}
+
+function parseResponse(text) {
+    if (!text) throw new Error("Empty response from AI");
+
+    // 1. Try to extract JSON from code blocks or loose text
+    let jsonString = text.trim();
+    const jsonMatch = text.match(/```json\s*([\s\S]*?)\s*```/) || text.match(/\[\s*\{[\s\S]*\}\s*\]/);
+    if (jsonMatch) {
+        jsonString = jsonMatch[1] || jsonMatch[0];
+    } else {
+        // Fallback: strip backticks if any
+        jsonString = jsonString.replace(/```json\n?|```/g, '').trim();
+    }
+
+    try {
+        const parsed = JSON.parse(jsonString);
+        if (Array.isArray(parsed)) return parsed;
+        if (parsed.questions && Array.isArray(parsed.questions)) return parsed.questions;
+        if (parsed.data && Array.isArray(parsed.data)) return parsed.data;
+        if (parsed.results && Array.isArray(parsed.results)) return parsed.results;
+        return [parsed];
+    } catch (e) {
+        // If JSON fails, it might be truncated. Try to "fix" it if it's an array
+        if (jsonString.startsWith('[') && !jsonString.endsWith(']')) {
+            try {
+                const lastBrace = jsonString.lastIndexOf('}');
+                if (lastBrace !== -1) {
+                    const fixed = jsonString.substring(0, lastBrace + 1) + ']';
+                    return JSON.parse(fixed);
+                }
+            } catch (innerE) { /* ignore */ }
+        }
+        console.log("JSON parse failed or truncated, attempting PSV parsing...");
+    }
+
+    // 2. Try Pipe-Separated Values (PSV)
+    try {
+        const lines = text.trim().split('\n').map(l => l.trim()).filter(l => l !== '');
+        if (lines.length === 0) throw new Error("No text lines found");
+
+        let headers = PSV_HEADERS;
+        let startIdx = 0;
+
+        // Header detection
+        if (isPsvHeader(lines[0])) {
+            headers = parsePsvHeader(lines[0]);
+            startIdx = 1;
+        }
+
+        const data = [];
+        for (let i = startIdx; i < lines.length; i++) {
+            const row = parsePsvLine(headers, lines[i]);
+            if (row) data.push(row);
+        }
+
+        if (data.length > 0) return data;
+
+    } catch (e) {
+        console.error('PSV parse failed:', e);
+    }
+
+    throw new Error('Could not parse AI response. It may be too long or truncated. Try using a shorter prompt or manually re-running this file. Raw snippet: ' + text.substring(0, 300) + '...');
+}
@@ -0,0 +1,165 @@
+// The one place LLM requests are sent from: every extraction, chat, restore and sorter call goes
+// through generate(), which applies a single retry policy and a per-model circuit breaker.
+//   Retry: 429 / 5xx / network errors, up to LLM_MAX_RETRIES (default 4) times, with "full jitter"
+//   exponential backoff — a random delay up to LLM_RETRY_BASE_MS * 2^attempt (default 1s), capped at
+//   LLM_RETRY_MAX_MS (default 30s). A Retry-After from the server is honoured when it is longer.
+//   Circuit breaker: after LLM_CIRCUIT_THRESHOLD (default 5) failed calls in a row to one model, further
+//   calls fail fast for LLM_CIRCUIT_COOLDOWN_MS (default 30s); then one trial call decides whether it closes.
+//   A call counts as failed once, after its retries are used up, so the two settings are independent.
+// Circuit state lives in the isolate, so each Worker instance trips on its own.
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+const circuits = new Map();
+
+function readInt(value, fallback) {
+    const n = parseInt(value, 10);
+    return isNaN(n) || n < 0 ? fallback : n;
+}
+
+function getPolicy(env) {
+    return {
+        maxRetries: readInt(env.LLM_MAX_RETRIES, 4),
+        baseMs: readInt(env.LLM_RETRY_BASE_MS, 1000),
+        maxMs: readInt(env.LLM_RETRY_MAX_MS, 30000),
+        threshold: readInt(env.LLM_CIRCUIT_THRESHOLD, 5),
+        cooldownMs: readInt(env.LLM_CIRCUIT_COOLDOWN_MS, 30000)
+    };
+}
+
+// Providers attach the HTTP status to their errors and flag failed fetches as networkError
+export function isRetryable(error) {
+    if (error.status) return RETRYABLE_STATUS.has(error.status);
+    return error.networkError === true;
+}
+
+// Seconds or an HTTP date → milliseconds (0 when absent)
+export function parseRetryAfter(header) {
+    if (!header) return 0;
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return isNaN(date) ? 0 : Math.max(date - Date.now(), 0);
+}
+
+function backoffDelay(policy, attempt, error) {
+    const ceiling = Math.min(policy.maxMs, policy.baseMs * Math.pow(2, attempt));
+    const delay = Math.random() * ceiling;
+    return Math.max(delay, error.retryAfterMs || 0);
+}
+
+function checkCircuit(key, policy) {
+    const circuit = circuits.get(key);
+    if (!circuit || circuit.failures < policy.threshold) return;
+    const waitMs = circuit.openedAt + policy.cooldownMs - Date.now();
+    if (waitMs > 0) {
+        const err = new Error(`LLM circuit open for ${key} after ${circuit.failures} consecutive failures; retry in ${Math.ceil(waitMs / 1000)}s`);
+        err.status = 503;
+        err.circuitOpen = true;
+        throw err;
+    }
+    // Cooldown over: let this call through as the trial (half-open)
+    circuit.openedAt = Date.now();
+}
+
+// One failed call (retries used up); the circuit opens when failures reach the threshold
+function recordFailure(key) {
+    const circuit = circuits.get(key) || { failures: 0, openedAt: 0 };
+    circuit.failures++;
+    circuit.openedAt = Date.now();
+    circuits.set(key, circuit);
+}
+
+// Runs attempt(state) under the retry policy and circuit breaker. An attempt that already handed
+// streamed text to the caller (state.delivered) is not retried, as that would repeat it.
+// The circuit is checked once per call, so a trial call after the cooldown gets its full retries.
+async function callWithPolicy(env, key, options, attemptFn) {
+    const policy = getPolicy(env);
+    checkCircuit(key, policy);
+
+    for (let attempt = 0; ; attempt++) {
+        const state = { delivered: false };
+        try {
+            const response = await attemptFn(state);
+            circuits.delete(key);
+            return response;
+        } catch (error) {
+            if (state.delivered || !isRetryable(error)) throw error;
+            if (attempt >= policy.maxRetries) {
+                recordFailure(key);
+                throw error;
+            }
+
+            const delay = backoffDelay(policy, attempt + 1, error);
+            console.log(`[LLM] ${key} failed (${error.status || error.name}). Retrying in ${Math.round(delay)}ms... (Attempt ${attempt + 1}/${policy.maxRetries})`);
+            if (options.onRetry) await options.onRetry(attempt + 1, delay, error);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Send one request through the retry policy and circuit breaker.
+ * @param {object} options - { onRetry(attempt, delayMs, error) } to report waits (e.g. as SSE progress)
+ */
+export async function generate(env, provider, model, request, options = {}) {
+    return callWithPolicy(env, `${provider.name}:${model}`, options, () => provider.generate(env, model, request));
+}
+
+/**
+ * Like generate, but passes text to options.onText(text) as it is produced. Providers without
+ * stream() answer in one piece. Resolves to the full { text, finishReason, usage }.
+ */
+export async function generateStream(env, provider, model, request, options = {}) {
+    const onText = options.onText || (() => {});
+    if (!provider.stream) {
+        const response = await generate(env, provider, model, request, options);
+        if (response.text) await onText(response.text);
+        return response;
+    }
+    return callWithPolicy(env, `${provider.name}:${model}`, options, (state) =>
+        provider.stream(env, model, request, async (text) => {
+            state.delivered = true;
+            await onText(text);
+        })
+    );
+}
+
+/**
+ * Embed texts through the same retry policy and circuit breaker.
+ * @returns {Promise<{ vectors: number[][], usage: object }>}
+ */
+export async function embed(env, provider, model, texts, options = {}) {
+    if (!provider.embed) {
+        throw new Error(`The ${provider.name} provider does not support embeddings`);
+    }
+    return callWithPolicy(env, `${provider.name}:${model}`, options, () => provider.embed(env, model, texts));
+}
+
+// Calls onData(payload) for every `data:` line of a text/event-stream response body
+export async function readServerSentEvents(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        if (value) buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = done ? '' : lines.pop();
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('data:')) await onData(trimmed.slice(5).trim());
+        }
+        if (done) break;
+    }
+}
+
+// Open / failing circuits, for the admin health view
+export function getCircuitStates(env) {
+    const policy = getPolicy(env);
+    return [...circuits.entries()].map(([key, circuit]) => ({
+        key,
+        failures: circuit.failures,
+        open: circuit.failures >= policy.threshold && circuit.openedAt + policy.cooldownMs > Date.now()
+    }));
+}
@@ -0,0 +1,135 @@
+// Record / replay / fault injection for LLM calls, so routes can be exercised without live credentials.
+//   LLM_FIXTURE_MODE = "record"  → call the provider and save the response in llm_fixtures (D1)
+//   LLM_FIXTURE_MODE = "replay"  → answer from llm_fixtures only; a request that was never recorded fails
+//   LLM_FAULT = "429" | "malformed" | "truncate" (comma-separated to mix) simulates a failure, on
+//   top of any mode, for LLM_FAULT_RATE of the calls (0–1, default 1).
+// Fixtures are keyed by a SHA-256 of provider, model, generation settings and the full contents
+// (prompt text and attachments), so an edited prompt or a different PDF is a different fixture.
+
+const FAULTS = ['429', 'malformed', 'truncate'];
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function fixtureKey(providerName, model, { contents, temperature, maxOutputTokens }) {
+    return sha256Hex(JSON.stringify({ provider: providerName, model, temperature, maxOutputTokens, contents }));
+}
+
+// Last text part of the request, to recognise a fixture when listing them
+function promptPreview(contents) {
+    const texts = contents.flatMap(c => (c.parts || []).filter(p => p.text !== undefined).map(p => p.text));
+    return (texts[texts.length - 1] || '').slice(0, 500);
+}
+
+function pickFault(env) {
+    const faults = String(env.LLM_FAULT || '').split(',').map(f => f.trim()).filter(f => FAULTS.includes(f));
+    if (faults.length === 0) return null;
+    const rate = parseFloat(env.LLM_FAULT_RATE ?? 1);
+    if (Math.random() >= (isNaN(rate) ? 1 : rate)) return null;
+    return faults[Math.floor(Math.random() * faults.length)];
+}
+
+// Same message shape as a real quota error, so callers' 429 handling is exercised
+function quotaError(providerName) {
+    const label = providerName === 'vertex' ? 'Gemini' : 'OpenAI-compatible';
+    const err = new Error(`${label} API Error (Status 429): {"error":{"code":429,"message":"Resource exhausted (injected by LLM_FAULT)","status":"RESOURCE_EXHAUSTED"}}`);
+    err.status = 429;
+    err.context = `LLM_FAULT on ${providerName}`;
+    return err;
+}
+
+function applyFault(fault, response) {
+    const half = response.text.slice(0, Math.floor(response.text.length / 2));
+    if (fault === 'truncate') {
+        return { ...response, text: half, finishReason: 'MAX_TOKENS' };
+    }
+    return { ...response, text: `${half}<<malformed`, finishReason: 'STOP' };
+}
+
+export function fixturesEnabled(env) {
+    return ['record', 'replay'].includes(env.LLM_FIXTURE_MODE) || Boolean(env.LLM_FAULT);
+}
+
+/**
+ * Wrap a provider so generate() honours LLM_FIXTURE_MODE and LLM_FAULT. Same interface as the provider.
+ */
+export function withFixtures(provider) {
+    return {
+        ...provider,
+        async generate(env, model, request) {
+            const fault = pickFault(env);
+            if (fault === '429') {
+                console.log(`[LLM_FAULT] Injecting 429 for ${provider.name}:${model}`);
+                throw quotaError(provider.name);
+            }
+
+            const mode = env.LLM_FIXTURE_MODE;
+            let response;
+            if (mode === 'record' || mode === 'replay') {
+                const key = await fixtureKey(provider.name, model, request);
+                if (mode === 'replay') {
+                    const row = await env.DB.prepare('SELECT response_json FROM llm_fixtures WHERE fixture_key = ?').bind(key).first();
+                    if (!row) {
+                        throw new Error(`No recorded LLM fixture for ${provider.name}:${model} (key ${key}). Run once with LLM_FIXTURE_MODE=record.`);
+                    }
+                    response = JSON.parse(row.response_json);
+                } else {
+                    response = await provider.generate(env, model, request);
+                    await env.DB.prepare(`
+                        INSERT OR REPLACE INTO llm_fixtures (fixture_key, provider, model, prompt_preview, response_json)
+                        VALUES (?, ?, ?, ?, ?)
+                    `).bind(key, provider.name, model, promptPreview(request.contents), JSON.stringify(response)).run();
+                }
+            } else {
+                response = await provider.generate(env, model, request);
+            }
+
+            if (fault) {
+                console.log(`[LLM_FAULT] Injecting ${fault} response for ${provider.name}:${model}`);
+                return applyFault(fault, response);
+            }
+            return response;
+        },
+
+        // Embeddings are recorded and replayed like generate() responses (faults other than 429 do not apply)
+        async embed(env, model, texts) {
+            if (pickFault(env) === '429') {
+                console.log(`[LLM_FAULT] Injecting 429 for ${provider.name}:${model} embeddings`);
+                throw quotaError(provider.name);
+            }
+            const mode = env.LLM_FIXTURE_MODE;
+            if (mode !== 'record' && mode !== 'replay') return provider.embed(env, model, texts);
+
+            const key = await fixtureKey(provider.name, `${model}#embed`, { contents: texts });
+            if (mode === 'replay') {
+                const row = await env.DB.prepare('SELECT response_json FROM llm_fixtures WHERE fixture_key = ?').bind(key).first();
+                if (!row) {
+                    throw new Error(`No recorded LLM fixture for ${provider.name}:${model} embeddings (key ${key}). Run once with LLM_FIXTURE_MODE=record.`);
+                }
+                return JSON.parse(row.response_json);
+            }
+            const response = await provider.embed(env, model, texts);
+            await env.DB.prepare(`
+                INSERT OR REPLACE INTO llm_fixtures (fixture_key, provider, model, prompt_preview, response_json)
+                VALUES (?, ?, ?, ?, ?)
+            `).bind(key, provider.name, model, `[embed] ${String(texts[0] || '').slice(0, 480)}`, JSON.stringify(response)).run();
+            return response;
+        },
+
+        // Fixtures store whole responses, so a streamed call is answered in one piece
+        async stream(env, model, request, onText) {
+            const response = await this.generate(env, model, request);
+            if (response.text) await onText(response.text);
+            return response;
+        }
+    };
+}
+
+export async function listFixtures(env, limit = 100) {
+    const { results } = await env.DB.prepare(
+        'SELECT fixture_key, provider, model, prompt_preview, LENGTH(response_json) as response_bytes, created_at FROM llm_fixtures ORDER BY created_at DESC LIMIT ?'
+    ).bind(limit).all();
+    return results || [];
+}
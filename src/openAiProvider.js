@@ -0,0 +1,144 @@
+import { Buffer } from 'node:buffer';
+import { parseRetryAfter, readServerSentEvents } from './llmClient.js';
+
+// Provider for any OpenAI-compatible /chat/completions endpoint (OpenAI itself, vLLM, Ollama,
+// LM Studio, ...). Configure OPENAI_BASE_URL (e.g. "http://10.0.0.5:8000/v1") and, when the
+// server needs one, the OPENAI_API_KEY secret. Select it with an "openai:<model>" model spec.
+
+// Gemini finish reasons the rest of the code understands
+const FINISH_REASONS = {
+    stop: 'STOP',
+    length: 'MAX_TOKENS',
+    content_filter: 'SAFETY',
+    tool_calls: 'STOP'
+};
+
+// Gemini-shaped parts → OpenAI content parts. Images go as data URLs, PDFs as `file` parts
+// (not every self-hosted server accepts those) and text files are inlined.
+function toContentParts(parts) {
+    if (parts.every(p => p.text !== undefined)) {
+        return parts.map(p => p.text).join('\n');
+    }
+    return parts.map(part => {
+        if (part.text !== undefined) return { type: 'text', text: part.text };
+        const { mimeType, data } = part.inlineData;
+        if (mimeType.startsWith('image/')) {
+            return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } };
+        }
+        if (mimeType.startsWith('text/') || mimeType === 'application/json') {
+            return { type: 'text', text: Buffer.from(data, 'base64').toString('utf8') };
+        }
+        return { type: 'file', file: { filename: mimeType === 'application/pdf' ? 'document.pdf' : 'attachment', file_data: `data:${mimeType};base64,${data}` } };
+    });
+}
+
+function normalizeUsage(usage = {}) {
+    return {
+        promptTokenCount: usage.prompt_tokens || 0,
+        candidatesTokenCount: usage.completion_tokens || 0,
+        totalTokenCount: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+    };
+}
+
+function toMessages(contents) {
+    return contents.map(content => ({
+        role: content.role === 'model' ? 'assistant' : 'user',
+        content: toContentParts(content.parts || [])
+    }));
+}
+
+// POST to an endpoint under OPENAI_BASE_URL (/chat/completions, /embeddings) and return the ok
+// Response. Errors carry .status (and .retryAfterMs) for the retry policy in llmClient.js.
+async function postOpenAi(env, path, requestBody) {
+    if (!env.OPENAI_BASE_URL) {
+        throw new Error('OPENAI_BASE_URL is not configured for the openai provider');
+    }
+    const url = `${env.OPENAI_BASE_URL.replace(/\/+$/, '')}${path}`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (env.OPENAI_API_KEY) headers['Authorization'] = `Bearer ${env.OPENAI_API_KEY}`;
+
+    let response;
+    try {
+        response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(requestBody) });
+    } catch (e) {
+        e.networkError = true;
+        throw e;
+    }
+    if (response.ok) {
+        return response;
+    }
+
+    const errorText = await response.text();
+    const err = new Error(`OpenAI-compatible API Error (Status ${response.status}): ${errorText}`);
+    err.status = response.status;
+    err.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+    throw err;
+}
+
+export const openAiProvider = {
+    name: 'openai',
+    modelLimit: null,
+
+    async generate(env, model, { contents, temperature, maxOutputTokens }) {
+        // Many self-hosted servers reject a max_tokens above their context size
+        const cap = parseInt(env.OPENAI_MAX_OUTPUT_TOKENS, 10);
+        const response = await postOpenAi(env, '/chat/completions', {
+            model,
+            messages: toMessages(contents),
+            temperature,
+            max_tokens: cap > 0 ? Math.min(maxOutputTokens, cap) : maxOutputTokens
+        });
+        const data = await response.json();
+
+        const choice = data.choices && data.choices[0];
+        if (!choice || !choice.message) {
+            throw new Error('Malformed response from OpenAI-compatible API: ' + JSON.stringify(data));
+        }
+        return {
+            text: choice.message.content || '',
+            finishReason: FINISH_REASONS[choice.finish_reason] || choice.finish_reason,
+            usage: normalizeUsage(data.usage)
+        };
+    },
+
+    async stream(env, model, { contents, temperature, maxOutputTokens }, onText) {
+        const cap = parseInt(env.OPENAI_MAX_OUTPUT_TOKENS, 10);
+        const response = await postOpenAi(env, '/chat/completions', {
+            model,
+            messages: toMessages(contents),
+            temperature,
+            max_tokens: cap > 0 ? Math.min(maxOutputTokens, cap) : maxOutputTokens,
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        let text = '';
+        let finishReason;
+        let usage;
+        await readServerSentEvents(response, async (data) => {
+            if (data === '[DONE]') return;
+            const chunk = JSON.parse(data);
+            const choice = chunk.choices && chunk.choices[0];
+            if (choice) {
+                const piece = (choice.delta && choice.delta.content) || '';
+                if (piece) {
+                    text += piece;
+                    await onText(piece);
+                }
+                if (choice.finish_reason) finishReason = FINISH_REASONS[choice.finish_reason] || choice.finish_reason;
+            }
+            if (chunk.usage) usage = chunk.usage;
+        });
+        return { text, finishReason, usage: normalizeUsage(usage) };
+    },
+
+    async embed(env, model, texts) {
+        const response = await postOpenAi(env, '/embeddings', { model, input: texts });
+        const data = await response.json();
+        const items = (data.data || []).slice().sort((a, b) => a.index - b.index);
+        if (items.length !== texts.length) {
+            throw new Error(`Malformed embeddings response from OpenAI-compatible API: expected ${texts.length} vectors, got ${items.length}`);
+        }
+        return { vectors: items.map(item => item.embedding), usage: normalizeUsage(data.usage) };
+    }
+};
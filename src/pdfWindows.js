@@ -0,0 +1,177 @@
+import { PDFDocument } from 'pdf-lib';
+import { Buffer } from 'node:buffer';
+import { extractFromPdf, streamExtractFromPdf } from './llm.js';
+import { normalizeKey, findKey } from './rowKeys.js';
+
+export const DEFAULT_PAGE_WINDOW = 10;
+
+/**
+ * Split a PDF into consecutive page windows.
+ * Small PDFs (pageCount <= windowSize), windowSize 0 and PDFs pdf-lib cannot parse come back as a
+ * single window holding the original bytes; only splitting needs the PDF parsed.
+ * @param {ArrayBuffer|Uint8Array} pdfBytes
+ * @param {number} windowSize - pages per window, 0 disables splitting
+ * @param {object} options - { maxWindows } stops after that many windows (e.g. 1 for just the first pages)
+ * @returns {Promise<Array<{ index: number, startPage: number, endPage: number|null, base64: string }>>}
+ */
+export async function splitPdfIntoWindows(pdfBytes, windowSize, { maxWindows = Infinity } = {}) {
+    // endPage is null when the page count was never read
+    const whole = (pageCount = null) => [{ index: 0, startPage: 1, endPage: pageCount, base64: Buffer.from(pdfBytes).toString('base64') }];
+    if (!windowSize) return whole();
+
+    let source;
+    try {
+        source = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+    } catch (e) {
+        // The model may still read a PDF pdf-lib cannot parse: send it whole, as before windowing
+        console.warn(`Could not split the PDF into page windows, sending it whole: ${e.message}`);
+        return whole();
+    }
+    const pageCount = source.getPageCount();
+
+    if (pageCount <= windowSize) {
+        return whole(pageCount);
+    }
+
+    const windows = [];
+    for (let start = 0; start < pageCount && windows.length < maxWindows; start += windowSize) {
+        const end = Math.min(start + windowSize, pageCount);
+        const part = await PDFDocument.create();
+        const pages = await part.copyPages(source, Array.from({ length: end - start }, (_, i) => start + i));
+        pages.forEach(p => part.addPage(p));
+        const bytes = await part.save();
+        windows.push({ index: windows.length, startPage: start + 1, endPage: end, base64: Buffer.from(bytes).toString('base64') });
+    }
+    return windows;
+}
+
+const CARRIED_COLUMNS = ['paper', 'monthyear', 'subject', 'universityname'];
+
+function windowPrompt(customPrompt, win, totalWindows, carry) {
+    const lines = [
+        `### PAGE WINDOW CONTEXT ###`,
+        `This file contains pages ${win.startPage}-${win.endPage} of a larger question paper compilation (part ${win.index + 1} of ${totalWindows}). Extract only what is printed on these pages.`
+    ];
+    if (carry.lastSNo !== null) {
+        lines.push(`The previous pages ended at S.No ${carry.lastSNo}. Continue S.No from ${carry.lastSNo + 1}.`);
+    }
+    const context = Object.entries(carry.context).map(([k, v]) => `${k}: "${v}"`);
+    if (context.length > 0) {
+        lines.push(`The previous pages ended inside this paper (${context.join(', ')}). If the first questions on these pages have no paper heading of their own, they belong to it: use the same values.`);
+    }
+    return `${customPrompt || ''}\n\n${lines.join('\n')}`;
+}
+
+// Make a window's rows follow on from the previous window: shift restarted S.No values and
+// fill Paper / Month Year context into the leading rows that lack their own heading.
+// Works row by row (stitch(row, indexInWindow)) so streamed rows can be fixed up as they arrive;
+// the S.No offset is decided by the window's first row.
+function createWindowStitcher(carry) {
+    let offset = null;
+    let openedAt = Infinity; // Index of the first row that opens its own paper
+
+    return function stitch(row, index) {
+        const sNoKey = findKey(row, 'sno');
+        if (offset === null) {
+            offset = 0;
+            const first = sNoKey ? parseInt(row[sNoKey], 10) : NaN;
+            if (carry.lastSNo !== null && !isNaN(first) && first <= carry.lastSNo) {
+                offset = carry.lastSNo + 1 - first;
+            }
+        }
+        if (offset && sNoKey) {
+            const n = parseInt(row[sNoKey], 10);
+            if (!isNaN(n)) row[sNoKey] = n + offset;
+        }
+
+        const paperKey = findKey(row, 'paper');
+        if (paperKey && String(row[paperKey] || '').trim()) openedAt = Math.min(openedAt, index);
+        if (index < openedAt) {
+            for (const [name, value] of Object.entries(carry.context)) {
+                const key = findKey(row, normalizeKey(name)) || name;
+                if (!String(row[key] || '').trim()) row[key] = value;
+            }
+        }
+        return row;
+    };
+}
+
+function updateCarry(carry, rows) {
+    for (const row of rows) {
+        const sNoKey = findKey(row, 'sno');
+        const n = sNoKey ? parseInt(row[sNoKey], 10) : NaN;
+        if (!isNaN(n)) carry.lastSNo = n;
+        for (const column of CARRIED_COLUMNS) {
+            const key = findKey(row, column);
+            if (key && String(row[key] || '').trim()) carry.context[key] = String(row[key]).trim();
+        }
+    }
+}
+
+/**
+ * Extract a PDF window by window and stitch the rows back together in page order.
+ * @param {object} options - { onRow(row, index, replaced), onWindow(win, totalWindows) } streams rows as
+ *   they are generated (see streamExtractFromPdf); index is the row's position in the final data.
+ * @returns {Promise<{ data: Array, usage: object, truncated: boolean, continuations: number, incomplete: boolean, windows: Array }>}
+ *   windows[i] tells which rows (firstRow .. firstRow + rowCount - 1) came from which pages.
+ */
+export async function extractInWindows(pdfBytes, customPrompt, temperature, env, model, windowSize, options = {}) {
+    const windows = await splitPdfIntoWindows(pdfBytes, windowSize);
+    const streaming = typeof options.onRow === 'function';
+    const extractWindow = (base64, prompt, extraOptions = {}) => streaming
+        ? streamExtractFromPdf(base64, prompt, temperature, env, model, { onRetry: options.onRetry, ...extraOptions })
+        : extractFromPdf(base64, prompt, temperature, env, model);
+
+    if (windows.length === 1) {
+        if (options.onWindow) await options.onWindow(windows[0], 1);
+        const { data, usage, truncated, continuations, incomplete } = await extractWindow(windows[0].base64, customPrompt, { onRow: options.onRow });
+        return {
+            data, usage, truncated, continuations, incomplete,
+            windows: [{ window: 0, startPage: windows[0].startPage, endPage: windows[0].endPage, firstRow: 0, rowCount: data.length, truncated, continuations, incomplete }]
+        };
+    }
+
+    const data = [];
+    const windowReport = [];
+    const usage = { promptTokenCount: 0, candidatesTokenCount: 0, totalTokenCount: 0 };
+    const carry = { lastSNo: null, context: {} };
+    let continuations = 0;
+
+    for (const win of windows) {
+        console.log(`Extracting window ${win.index + 1}/${windows.length} (pages ${win.startPage}-${win.endPage})`);
+        if (options.onWindow) await options.onWindow(win, windows.length);
+        const prompt = win.index === 0 ? customPrompt : windowPrompt(customPrompt, win, windows.length, carry);
+        const firstRow = data.length;
+        const stitch = createWindowStitcher(carry);
+        // Streamed rows are stitched as copies: the extractor compares continuation rows with the raw ones
+        const result = await extractWindow(win.base64, prompt, {
+            onRow: (row, index, replaced) => options.onRow(stitch({ ...row }, index), firstRow + index, replaced)
+        });
+        const stitchResult = createWindowStitcher(carry);
+        const rows = result.data.map((row, index) => stitchResult(row, index));
+        win.base64 = null; // Release each window as soon as it has been sent
+        updateCarry(carry, rows);
+
+        windowReport.push({
+            window: win.index, startPage: win.startPage, endPage: win.endPage, firstRow, rowCount: rows.length,
+            truncated: result.truncated, continuations: result.continuations, incomplete: result.incomplete
+        });
+        continuations += result.continuations;
+        data.push(...rows);
+
+        usage.promptTokenCount += result.usage.promptTokenCount || 0;
+        usage.candidatesTokenCount += result.usage.candidatesTokenCount || 0;
+        usage.totalTokenCount += result.usage.totalTokenCount || 0;
+        usage.modelLimit = result.usage.modelLimit;
+        usage.maxOutputTokens = result.usage.maxOutputTokens;
+    }
+
+    return {
+        data,
+        usage,
+        truncated: windowReport.some(w => w.truncated),
+        continuations,
+        incomplete: windowReport.some(w => w.incomplete),
+        windows: windowReport
+    };
+}
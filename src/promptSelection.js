@@ -0,0 +1,130 @@
+import { chatWithModel } from './llm.js';
+import { splitPdfIntoWindows } from './pdfWindows.js';
+
+// "Auto" prompt mode for /api/extract: a cheap first pass reads the opening pages of the paper,
+// then the best-matching prompt is picked from the account's library by university/state/type.
+
+const CLASSIFY_PAGES = 2;
+
+const CLASSIFY_PROMPT = `You are looking at the first pages of a university question paper.
+Identify the paper. Return ONLY a JSON object with EXACTLY these keys (use null when unknown):
+{"university": "<full university name>", "university_short": "<common abbreviation, e.g. KNRUHS>", "state": "<Indian state>",
+ "paper_type": "<course / exam type, e.g. MBBS, BDS, Nursing, Supplementary>", "layout": "<e.g. Long essay + short notes, MCQ, Sectioned (A/B)>",
+ "month_year": "<e.g. March 2024>", "subject": "<subject>", "confidence": <0 to 1>}`;
+
+const STOP_WORDS = new Set(['of', 'and', 'the', 'for', 'in', '&']);
+
+function normalize(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "Kaloji Narayana Rao University of Health Sciences" → "knruhs"
+function acronym(value) {
+    return String(value || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !STOP_WORDS.has(word))
+        .map(word => word[0])
+        .join('');
+}
+
+function sameName(a, b) {
+    const na = normalize(a);
+    const nb = normalize(b);
+    if (!na || !nb) return false;
+    if (na === nb) return true;
+    // Containment only for longer names, so "ap" does not match inside an unrelated word
+    if (Math.min(na.length, nb.length) >= 4 && (na.includes(nb) || nb.includes(na))) return true;
+    return acronym(a) === nb || acronym(b) === na;
+}
+
+/**
+ * First pass: ask Gemini what paper this is, from its first CLASSIFY_PAGES pages.
+ * @returns {Promise<{ detected: object, usage: object }>}
+ */
+export async function classifyPaper(pdfBytes, env, model) {
+    const [firstPages] = await splitPdfIntoWindows(pdfBytes, CLASSIFY_PAGES, { maxWindows: 1 });
+    const messages = [{ role: 'user', content: CLASSIFY_PROMPT }];
+    const aiRes = await chatWithModel(messages, [{ mimeType: 'application/pdf', base64: firstPages.base64 }], null, env, model);
+
+    let detected;
+    try {
+        const jsonText = aiRes.reply.replace(/```json|```/g, '').trim();
+        detected = JSON.parse(jsonText.slice(jsonText.indexOf('{'), jsonText.lastIndexOf('}') + 1));
+    } catch (e) {
+        console.error('Could not parse paper classification:', aiRes.reply);
+        detected = {};
+    }
+    return { detected, usage: aiRes.usage || {} };
+}
+
+// Score one stored prompt against the detected paper; a conflicting university rules it out
+function scorePrompt(prompt, detected) {
+    const reasons = [];
+    let score = 0;
+
+    if (prompt.university) {
+        if (sameName(prompt.university, detected.university) || sameName(prompt.university, detected.university_short)) {
+            score += 4;
+            reasons.push(`university "${prompt.university}" matches`);
+        } else if (detected.university || detected.university_short) {
+            return { score: -Infinity, reasons: [`university "${prompt.university}" does not match`] };
+        }
+    } else {
+        score += 1;
+        reasons.push('generic prompt (no university)');
+    }
+
+    if (prompt.state && detected.state) {
+        if (sameName(prompt.state, detected.state)) {
+            score += 2;
+            reasons.push(`state "${prompt.state}" matches`);
+        } else {
+            score -= 2;
+            reasons.push(`state "${prompt.state}" differs from "${detected.state}"`);
+        }
+    }
+
+    if (prompt.type && (sameName(prompt.type, detected.paper_type) || sameName(prompt.type, detected.layout))) {
+        score += 2;
+        reasons.push(`type "${prompt.type}" matches`);
+    }
+
+    return { score, reasons };
+}
+
+/**
+ * Pick the best prompt for a classified paper. Ties go to the newest prompt.
+ * `hints` (university/state/type from the request) take precedence over what was detected.
+ * @returns {Promise<{ prompt: object|null, score: number|null, reasons: string[], candidates: Array }>}
+ *   prompt is null when nothing in the library fits; the built-in extraction prompt is used then.
+ */
+export async function selectPrompt(env, accountId, detected, hints = {}) {
+    const target = {
+        ...detected,
+        ...(hints.university ? { university: hints.university, university_short: null } : {}),
+        ...(hints.state ? { state: hints.state } : {}),
+        ...(hints.type ? { paper_type: hints.type } : {})
+    };
+
+    const { results } = await env.DB.prepare(
+        "SELECT id, name, university, state, type FROM prompts WHERE account_id = ? AND COALESCE(type, '') != 'manual_sorter' ORDER BY created_at DESC, id DESC"
+    ).bind(accountId).all();
+
+    const candidates = (results || [])
+        .map(prompt => ({ prompt, ...scorePrompt(prompt, target) }))
+        .filter(c => c.score > 0);
+    candidates.sort((a, b) => b.score - a.score);
+
+    const summary = candidates.slice(0, 5).map(c => ({ id: c.prompt.id, name: c.prompt.name, score: c.score }));
+    if (candidates.length === 0) {
+        return {
+            prompt: null,
+            score: null,
+            reasons: ['No stored prompt matches the detected paper; using the built-in extraction prompt'],
+            candidates: summary
+        };
+    }
+    const best = candidates[0];
+    return { prompt: best.prompt, score: best.score, reasons: best.reasons, candidates: summary };
+}
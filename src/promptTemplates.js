@@ -0,0 +1,83 @@
+// Placeholders in stored prompts, filled in at request time so one prompt can serve every
+// university / exam sitting instead of keeping near-identical copies.
+//   {{university}}            required — the request fails if no value is supplied
+//   {{month_year|the exam}}   optional — falls back to the text after the pipe
+// Names are case-insensitive and may contain letters, digits and underscores.
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*(?:\|([^}]*))?\}\}/g;
+
+// Form fields on /api/extract that are read as template variables
+export const TEMPLATE_FIELDS = ['university', 'state', 'month_year', 'columns', 'paper', 'subject'];
+
+function formatValue(value) {
+    if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean).join(', ');
+    return String(value).trim();
+}
+
+/**
+ * Collect template variables from a request body: the known form fields plus an optional
+ * `variables` object (or JSON string of one) for anything else. Later sources win.
+ */
+export function collectTemplateVariables(...sources) {
+    const variables = {};
+    for (const source of sources) {
+        if (!source) continue;
+        let extra = source.variables;
+        if (typeof extra === 'string') {
+            try {
+                extra = JSON.parse(extra);
+            } catch (e) {
+                throw new Error('variables must be a JSON object');
+            }
+        }
+        const entries = [
+            ...TEMPLATE_FIELDS.map(name => [name, source[name]]),
+            ...Object.entries(extra && typeof extra === 'object' ? extra : {})
+        ];
+        for (const [name, value] of entries) {
+            if (value === undefined || value === null || value instanceof File) continue;
+            const formatted = formatValue(value);
+            if (formatted !== '') variables[name.toLowerCase()] = formatted;
+        }
+    }
+    return variables;
+}
+
+// Every placeholder in a template, in order of first appearance
+export function listTemplateVariables(template) {
+    const seen = new Map();
+    for (const match of String(template || '').matchAll(PLACEHOLDER)) {
+        const name = match[1].toLowerCase();
+        const required = match[2] === undefined;
+        if (!seen.has(name)) {
+            seen.set(name, { name, required });
+        } else if (required) {
+            seen.get(name).required = true;
+        }
+    }
+    return [...seen.values()];
+}
+
+/**
+ * Fill a template's placeholders.
+ * @returns {{ text: string, missing: string[], used: string[] }} missing lists required variables
+ *   without a value; text is only usable when it is empty.
+ */
+export function renderPromptTemplate(template, variables = {}) {
+    const missing = new Set();
+    const used = new Set();
+    const text = String(template || '').replace(PLACEHOLDER, (placeholder, rawName, fallback) => {
+        const name = rawName.toLowerCase();
+        if (variables[name] !== undefined) {
+            used.add(name);
+            return variables[name];
+        }
+        if (fallback !== undefined) return fallback.trim();
+        missing.add(name);
+        return placeholder;
+    });
+    return { text, missing: [...missing], used: [...used] };
+}
+
+export function missingVariablesMessage(missing) {
+    return `Prompt template needs a value for: ${missing.join(', ')}. Send them as form fields or in "variables".`;
+}
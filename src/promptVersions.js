@@ -0,0 +1,104 @@
+// Append-only prompt history (D1). Every write to a prompt library records a new version so
+// edits can be compared and rolled back, and usage rows can point at the exact prompt text used.
+//   kind 'prompt'      → prompts.id (extraction prompts, including the manual sorter prompt)
+//   kind 'chat_prompt' → chat_prompts.id
+//   kind 'hitl'        → hitl_settings.type (Context Restorer prompts)
+export const PROMPT_KINDS = ['prompt', 'chat_prompt', 'hitl'];
+
+/**
+ * Append a version and return the new row.
+ * @param {object} version - { accountId, kind, ref, content, metadata, authorEmail, note }
+ */
+export async function recordPromptVersion(env, { accountId, kind, ref, content, metadata = null, authorEmail, note = null }) {
+    return env.DB.prepare(`
+        INSERT INTO prompt_versions (account_id, prompt_kind, prompt_ref, version, content, metadata_json, author_email, note)
+        SELECT ?, ?, ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?, ?
+        FROM prompt_versions
+        WHERE account_id = ? AND prompt_kind = ? AND prompt_ref = ?
+        RETURNING *
+    `).bind(
+        accountId, kind, String(ref), content, metadata ? JSON.stringify(metadata) : null, authorEmail, note,
+        accountId, kind, String(ref)
+    ).first();
+}
+
+// Prompts created before history existed have no versions yet: snapshot the current text
+// before it is overwritten, so the first edit can still be rolled back.
+export async function ensureBaselineVersion(env, { accountId, kind, ref, content, metadata = null }) {
+    if (content === undefined || content === null) return;
+    const existing = await env.DB.prepare(
+        'SELECT id FROM prompt_versions WHERE account_id = ? AND prompt_kind = ? AND prompt_ref = ? LIMIT 1'
+    ).bind(accountId, kind, String(ref)).first();
+    if (!existing) {
+        await recordPromptVersion(env, { accountId, kind, ref, content, metadata, authorEmail: 'unknown', note: 'Baseline (before version history)' });
+    }
+}
+
+export async function listPromptVersions(env, accountId, kind, ref) {
+    const { results } = await env.DB.prepare(`
+        SELECT id, version, author_email, note, metadata_json, LENGTH(content) as content_length, created_at
+        FROM prompt_versions
+        WHERE account_id = ? AND prompt_kind = ? AND prompt_ref = ?
+        ORDER BY version DESC
+    `).bind(accountId, kind, String(ref)).all();
+    return results || [];
+}
+
+export async function getPromptVersion(env, accountId, kind, ref, version) {
+    return env.DB.prepare(
+        'SELECT * FROM prompt_versions WHERE account_id = ? AND prompt_kind = ? AND prompt_ref = ? AND version = ?'
+    ).bind(accountId, kind, String(ref), version).first();
+}
+
+export async function getLatestPromptVersion(env, accountId, kind, ref) {
+    return env.DB.prepare(
+        'SELECT * FROM prompt_versions WHERE account_id = ? AND prompt_kind = ? AND prompt_ref = ? ORDER BY version DESC LIMIT 1'
+    ).bind(accountId, kind, String(ref)).first();
+}
+
+export async function getPromptVersionById(env, accountId, id) {
+    return env.DB.prepare('SELECT * FROM prompt_versions WHERE account_id = ? AND id = ?').bind(accountId, id).first();
+}
+
+// The frontend often sends the prompt text rather than its id; match it back to the newest
+// version with exactly that content. Returns null for ad-hoc or built-in prompts.
+export async function findPromptVersionId(env, accountId, content) {
+    if (!content) return null;
+    const row = await env.DB.prepare(
+        'SELECT id FROM prompt_versions WHERE account_id = ? AND content = ? ORDER BY id DESC LIMIT 1'
+    ).bind(accountId, content).first();
+    return row ? row.id : null;
+}
+
+/**
+ * Line diff between two texts (longest common subsequence).
+ * @returns {Array<{ op: ' ' | '-' | '+', line: string }>}
+ */
+export function diffLines(before, after) {
+    const a = String(before || '').split('\n');
+    const b = String(after || '').split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            diff.push({ op: ' ', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            diff.push({ op: '-', line: a[i++] });
+        } else {
+            diff.push({ op: '+', line: b[j++] });
+        }
+    }
+    while (i < a.length) diff.push({ op: '-', line: a[i++] });
+    while (j < b.length) diff.push({ op: '+', line: b[j++] });
+    return diff;
+}
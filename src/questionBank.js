@@ -0,0 +1,220 @@
+import { normalizeKey, findKey } from './rowKeys.js';
+import { normalizeQuestion } from './questionClustering.js';
+
+// Persistent question bank (D1 tables papers / questions, searched through questions_fts).
+// Rows come from extraction results or restored / sorted workbooks and are split into papers by
+// University, Subject, Paper, Month Year and Type; a paper that is imported again keeps its id
+// and has its questions replaced, so re-imports never duplicate.
+
+export const PAPER_FIELDS = ['university', 'subject', 'paper', 'month_year', 'type'];
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// Accepted (normalised) column names per field, best first: a restored or merged question wins
+// over the original text when a workbook has both
+const FIELD_COLUMNS = {
+    university: ['universityname', 'university'],
+    subject: ['subject'],
+    paper: ['paper', 'papername'],
+    month_year: ['monthyear', 'month', 'session'],
+    type: ['type', 'papertype', 'examtype'],
+    section: ['section'],
+    q_num: ['sno', 'qno', 'questionno', 'qnum', 'no'],
+    question: ['restoredquestionai', 'mergedquestion', 'question', 'questions', 'questiontext', 'qtext']
+};
+
+// Which FIELD_COLUMNS field a column header holds, or null
+export function columnField(header) {
+    const key = normalizeKey(header);
+    return Object.keys(FIELD_COLUMNS).find(field => FIELD_COLUMNS[field].includes(key)) || null;
+}
+
+// A row's value for one of the FIELD_COLUMNS fields ('' when the row has none)
+export function fieldValue(row, field) {
+    for (const name of FIELD_COLUMNS[field]) {
+        const key = findKey(row, name);
+        if (key && String(row[key] ?? '').trim()) return String(row[key]).trim();
+    }
+    return '';
+}
+
+export function paperKey(fields, sourceName) {
+    const parts = PAPER_FIELDS.map(f => normalizeKey(fields[f] || ''));
+    // Rows that say nothing about their paper are one paper per source file
+    return parts.some(Boolean) ? parts.join('|') : `file:${normalizeKey(sourceName || 'unnamed')}`;
+}
+
+/**
+ * Split rows into papers. Blank paper fields inherit the previous row's value (merged cells,
+ * extraction rows that only carry the heading on the first question).
+ * @returns {{ papers: Map<string, { fields, questions: Array }>, skipped: number }}
+ *   questions[i].index is the row's position in `rows`.
+ */
+export function groupRowsIntoPapers(rows, sourceName) {
+    const papers = new Map();
+    const carried = Object.fromEntries(PAPER_FIELDS.map(f => [f, '']));
+    let skipped = 0;
+
+    rows.forEach((row, index) => {
+        if (!row || typeof row !== 'object') {
+            skipped++;
+            return;
+        }
+        for (const field of PAPER_FIELDS) {
+            const value = fieldValue(row, field);
+            if (value) carried[field] = value;
+        }
+        const question = fieldValue(row, 'question');
+        if (!question) {
+            skipped++;
+            return;
+        }
+        const key = paperKey(carried, sourceName);
+        if (!papers.has(key)) papers.set(key, { fields: { ...carried }, questions: [] });
+        papers.get(key).questions.push({
+            index,
+            q_num: fieldValue(row, 'q_num') || null,
+            section: fieldValue(row, 'section') || null,
+            question,
+            normalized: normalizeQuestion(question),
+            row_json: JSON.stringify(row)
+        });
+    });
+    return { papers, skipped };
+}
+
+/**
+ * Import rows into the question bank.
+ * @param {object} source - { accountId, userEmail, source: 'extraction' | 'workbook', sourceName, jobId }
+ * @returns {Promise<{ papers: Array, questions: number, skipped: number }>} papers[i].status is 'created' or 'updated'
+ */
+export async function importQuestions(env, rows, { accountId, userEmail, source, sourceName, jobId }) {
+    const { papers, skipped } = groupRowsIntoPapers(rows, sourceName);
+    const imported = [];
+
+    for (const [key, { fields, questions }] of papers) {
+        const paperFields = Object.fromEntries(PAPER_FIELDS.map(f => [f, fields[f] || null]));
+        const values = Object.values(paperFields);
+        const existing = await env.DB.prepare('SELECT id FROM papers WHERE account_id = ? AND paper_key = ?')
+            .bind(accountId, key)
+            .first();
+
+        let paperId;
+        if (existing) {
+            paperId = existing.id;
+            await env.DB.prepare(`
+                UPDATE papers SET university = ?, subject = ?, paper = ?, month_year = ?, type = ?, source = ?, source_name = ?,
+                    job_id = ?, question_count = ?, imported_by = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).bind(...values, source, sourceName || null, jobId || null, questions.length, userEmail, paperId).run();
+        } else {
+            const created = await env.DB.prepare(`
+                INSERT INTO papers (account_id, paper_key, university, subject, paper, month_year, type, source, source_name, job_id, question_count, imported_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id
+            `).bind(accountId, key, ...values, source, sourceName || null, jobId || null, questions.length, userEmail).first();
+            paperId = created.id;
+        }
+
+        // Replace the paper's questions in one batch (the FTS triggers follow along)
+        const insert = env.DB.prepare(
+            'INSERT INTO questions (account_id, paper_id, position, q_num, section, question, normalized, row_json) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+        );
+        await env.DB.batch([
+            env.DB.prepare('DELETE FROM questions WHERE paper_id = ?').bind(paperId),
+            ...questions.map((q, i) => insert.bind(accountId, paperId, i + 1, q.q_num, q.section, q.question, q.normalized, q.row_json))
+        ]);
+
+        imported.push({ id: paperId, paper_key: key, ...paperFields, questions: questions.length, status: existing ? 'updated' : 'created' });
+    }
+
+    return { papers: imported, questions: imported.reduce((sum, p) => sum + p.questions, 0), skipped };
+}
+
+// Free text → FTS5 query: every word must match as a prefix ("diab keto" finds "diabetic
+// ketoacidosis"). Words are quoted so FTS5 operators in the input are taken literally.
+export function ftsQuery(text) {
+    const words = String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+    return words.map(w => `"${w}"*`).join(' ');
+}
+
+function pageOptions(filters) {
+    const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+// Paper field filters match whole values, ignoring case
+function paperFilters(filters, where, params) {
+    for (const field of PAPER_FIELDS) {
+        if (filters[field]) {
+            where.push(`p.${field} = ? COLLATE NOCASE`);
+            params.push(String(filters[field]).trim());
+        }
+    }
+}
+
+/**
+ * Full-text search with filters and pagination.
+ * @param {object} filters - { q, university, subject, paper, month_year, type, section, paperId, page, pageSize }
+ * @returns {Promise<{ results: Array, total: number, page: number, page_size: number }>}
+ *   Without q, questions come in paper / position order; with q, best matches first, each with a snippet.
+ */
+export async function searchQuestions(env, accountId, filters = {}) {
+    const { page, pageSize, offset } = pageOptions(filters);
+    const match = ftsQuery(filters.q);
+    const where = ['q.account_id = ?'];
+    const params = [accountId];
+    if (match) {
+        where.push('questions_fts MATCH ?');
+        params.push(match);
+    }
+    paperFilters(filters, where, params);
+    if (filters.section) {
+        where.push('q.section = ? COLLATE NOCASE');
+        params.push(String(filters.section).trim());
+    }
+    if (filters.paperId) {
+        where.push('q.paper_id = ?');
+        params.push(parseInt(filters.paperId, 10));
+    }
+
+    const from = `
+        FROM questions q
+        JOIN papers p ON p.id = q.paper_id
+        ${match ? 'JOIN questions_fts ON questions_fts.rowid = q.id' : ''}
+        WHERE ${where.join(' AND ')}
+    `;
+    const countRow = await env.DB.prepare(`SELECT COUNT(*) as total ${from}`).bind(...params).first();
+    const { results } = await env.DB.prepare(`
+        SELECT q.id, q.paper_id, q.position, q.q_num, q.section, q.question,
+            ${match ? "snippet(questions_fts, 0, '<mark>', '</mark>', '…', 16)" : 'NULL'} as snippet,
+            p.university, p.subject, p.paper, p.month_year, p.type
+        ${from}
+        ORDER BY ${match ? 'bm25(questions_fts), ' : ''}p.university, p.subject, p.paper, p.month_year, q.position
+        LIMIT ? OFFSET ?
+    `).bind(...params, pageSize, offset).all();
+
+    return { results: results || [], total: countRow ? countRow.total : 0, page, page_size: pageSize };
+}
+
+/**
+ * Papers in the bank, newest import first, with the same field filters as searchQuestions.
+ */
+export async function listPapers(env, accountId, filters = {}) {
+    const { page, pageSize, offset } = pageOptions(filters);
+    const where = ['p.account_id = ?'];
+    const params = [accountId];
+    paperFilters(filters, where, params);
+
+    const countRow = await env.DB.prepare(`SELECT COUNT(*) as total FROM papers p WHERE ${where.join(' AND ')}`).bind(...params).first();
+    const { results } = await env.DB.prepare(`
+        SELECT p.id, ${PAPER_FIELDS.map(f => `p.${f}`).join(', ')}, p.source, p.source_name, p.job_id, p.question_count,
+            p.imported_by, p.created_at, p.updated_at
+        FROM papers p
+        WHERE ${where.join(' AND ')}
+        ORDER BY p.updated_at DESC, p.id DESC
+        LIMIT ? OFFSET ?
+    `).bind(...params, pageSize, offset).all();
+
+    return { results: results || [], total: countRow ? countRow.total : 0, page, page_size: pageSize };
+}
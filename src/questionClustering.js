@@ -0,0 +1,204 @@
+import { embedTexts } from './llm.js';
+
+// Server-side grouping of similar questions for the AI Repeat Sorter (/api/cluster-questions).
+// Questions are normalised (numbering, marks and instruction verbs stripped), scored with word
+// overlap (Jaccard) plus character trigram overlap (Dice), optionally averaged with the cosine
+// similarity of text embeddings, and clustered leader-style: each question joins the most similar
+// existing group representative at or above the threshold, or starts a new group. Only
+// representatives that share a word with the question are compared, which keeps large banks fast.
+
+export const DEFAULT_CLUSTER_THRESHOLD = 0.6;
+export const MAX_CLUSTER_QUESTIONS = 20000;
+
+// Instruction words that say nothing about the topic ("Write a short note on ...")
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'of', 'and', 'or', 'in', 'on', 'for', 'to', 'with', 'its', 'it', 'is', 'are', 'by', 'at', 'as',
+    'be', 'what', 'how', 'write', 'short', 'note', 'notes', 'describe', 'discuss', 'explain', 'define', 'briefly',
+    'brief', 'enumerate', 'mention', 'list', 'give', 'detail', 'detailed', 'account', 'about', 'marks', 'mark'
+]);
+
+// A word that appears in more than this share of all questions is too common to find candidates by
+const COMMON_WORD_SHARE = 0.05;
+
+export function normalizeQuestion(text) {
+    let s = String(text ?? '').toLowerCase();
+    s = s.replace(/\(\s*\d+\s*marks?\s*\)/g, ' ');
+    // Leading numbering such as "1.", "a)", "(ii)", "Q.3" — possibly several ("1. a)")
+    s = s.replace(/^(\s*(q(uestion)?\s*\.?\s*)?(\(?(\d+|[a-z]|[ivx]+)\s*[.):\]-])\s*)+/, '');
+    return s.replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Content words of a normalised question (instruction words dropped)
+export function topicWords(normalized) {
+    return normalized.split(' ').filter(w => w.length > 1 && !STOP_WORDS.has(w));
+}
+
+function wordsOf(normalized) {
+    const words = topicWords(normalized);
+    // Light stemming so "fractures" meets "fracture"
+    return new Set(words.map(w => (w.length > 4 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w)));
+}
+
+function trigramsOf(normalized) {
+    const padded = ` ${normalized} `;
+    const grams = new Set();
+    for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+    return grams;
+}
+
+function overlap(a, b) {
+    let shared = 0;
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    for (const item of small) if (large.has(item)) shared++;
+    return shared;
+}
+
+// What lexicalSimilarity compares: { normalized, words, grams }
+export function questionFeatures(text) {
+    const normalized = normalizeQuestion(text);
+    return { normalized, words: wordsOf(normalized), grams: trigramsOf(normalized) };
+}
+
+export function lexicalSimilarity(a, b) {
+    const sharedWords = overlap(a.words, b.words);
+    const unionWords = a.words.size + b.words.size - sharedWords;
+    const jaccard = unionWords > 0 ? sharedWords / unionWords : 0;
+    const gramTotal = a.grams.size + b.grams.size;
+    const dice = gramTotal > 0 ? (2 * overlap(a.grams, b.grams)) / gramTotal : 0;
+    return (jaccard + dice) / 2;
+}
+
+export function cosineSimilarity(u, v) {
+    let dot = 0;
+    let nu = 0;
+    let nv = 0;
+    for (let i = 0; i < u.length; i++) {
+        dot += u[i] * v[i];
+        nu += u[i] * u[i];
+        nv += v[i] * v[i];
+    }
+    return nu > 0 && nv > 0 ? dot / Math.sqrt(nu * nv) : 0;
+}
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * Cluster questions into Repeat Sorter groups.
+ * @param {Array<{ row?: number|string, text: string }>} questions
+ * @param {object} options - { threshold (0–1, default 0.6), minGroupSize (default 2),
+ *   embeddings: false | { env, model } to average in embedding cosine similarity }
+ * @returns {Promise<{ groups: Array, similarity: Array, singletons: Array, usage: object|null, stats: object }>}
+ *   groups are exactly what /api/ai-sorter takes ({ groupId, repQuestion, similarQuestions, totalQuestions });
+ *   similarity[i] lists the source rows and each member's score against the representative.
+ */
+export async function clusterQuestions(questions, options = {}) {
+    const threshold = options.threshold ?? DEFAULT_CLUSTER_THRESHOLD;
+    const minGroupSize = options.minGroupSize ?? 2;
+
+    const items = questions.map((q, i) => ({ index: i, row: q.row ?? i + 1, text: String(q.text).trim(), ...questionFeatures(q.text) }));
+
+    // Embeddings are fetched once per distinct normalised text. Questions that normalise to nothing
+    // ("(a)", "—") are not embedded and are scored on text alone.
+    let usage = null;
+    let vectorOf = null;
+    const distinct = options.embeddings ? [...new Set(items.map(item => item.normalized).filter(Boolean))] : [];
+    if (distinct.length > 0) {
+        const { vectors, usage: embedUsage } = await embedTexts(distinct, options.embeddings.env, options.embeddings.model);
+        const byText = new Map(distinct.map((text, i) => [text, vectors[i]]));
+        vectorOf = (item) => byText.get(item.normalized);
+        usage = embedUsage;
+    }
+    const score = (a, b) => {
+        const lexical = lexicalSimilarity(a, b);
+        const va = vectorOf && vectorOf(a);
+        const vb = vectorOf && vectorOf(b);
+        return va && vb ? (lexical + cosineSimilarity(va, vb)) / 2 : lexical;
+    };
+
+    const documentFrequency = new Map();
+    for (const item of items) {
+        for (const word of item.words) documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+    }
+    const commonCutoff = Math.max(50, items.length * COMMON_WORD_SHARE);
+
+    const clusters = [];
+    const byNormalized = new Map();   // Exact repeats join without scoring
+    const repsByWord = new Map();     // word → clusters whose representative has it
+    let comparisons = 0;
+
+    for (const item of items) {
+        const exact = byNormalized.get(item.normalized);
+        if (exact && item.normalized) {
+            exact.members.push({ item, score: 1 });
+            continue;
+        }
+
+        const rareWords = [...item.words].filter(w => documentFrequency.get(w) <= commonCutoff);
+        const lookupWords = rareWords.length > 0 ? rareWords : [...item.words];
+        const candidates = new Set();
+        for (const word of lookupWords) {
+            for (const cluster of repsByWord.get(word) || []) candidates.add(cluster);
+        }
+
+        let best = null;
+        let bestScore = -1;
+        for (const cluster of candidates) {
+            comparisons++;
+            const s = score(item, cluster.rep);
+            if (s > bestScore) {
+                best = cluster;
+                bestScore = s;
+            }
+        }
+
+        if (best && bestScore >= threshold) {
+            best.members.push({ item, score: bestScore });
+            continue;
+        }
+        const cluster = { rep: item, members: [{ item, score: 1 }] };
+        clusters.push(cluster);
+        if (item.normalized) byNormalized.set(item.normalized, cluster);
+        for (const word of item.words) {
+            if (!repsByWord.has(word)) repsByWord.set(word, []);
+            repsByWord.get(word).push(cluster);
+        }
+    }
+
+    const groups = [];
+    const similarity = [];
+    const singletons = [];
+    for (const cluster of clusters) {
+        if (cluster.members.length < minGroupSize) {
+            singletons.push(...cluster.members.map(m => ({ row: m.item.row, text: m.item.text })));
+            continue;
+        }
+        const groupId = `G${groups.length + 1}`;
+        groups.push({
+            groupId,
+            repQuestion: cluster.rep.text,
+            similarQuestions: cluster.members.slice(1).map(m => m.item.text),
+            totalQuestions: cluster.members.length
+        });
+        similarity.push({
+            groupId,
+            rows: cluster.members.map(m => m.item.row),
+            scores: cluster.members.map(m => round3(m.score))
+        });
+    }
+
+    return {
+        groups,
+        similarity,
+        singletons,
+        usage,
+        stats: {
+            questions: items.length,
+            groups: groups.length,
+            grouped_questions: groups.reduce((sum, g) => sum + g.totalQuestions, 0),
+            singletons: singletons.length,
+            threshold,
+            embeddings: Boolean(options.embeddings),
+            comparisons
+        }
+    };
+}
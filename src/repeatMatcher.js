@@ -0,0 +1,287 @@
+import { embedTexts } from './llm.js';
+import { groupRowsIntoPapers, PAPER_FIELDS } from './questionBank.js';
+import { questionFeatures, lexicalSimilarity, topicWords } from './questionClustering.js';
+
+// Seen-before matching: which questions of a new paper were asked before, and where.
+// Each incoming question is compared with the question bank (questionBank.js) on normalised text —
+// an identical normalised text is a match with score 1 — and on a combined score,
+//   SEEN_BEFORE_EMBEDDING_WEIGHT × embedding cosine + the rest × lexical similarity,
+// or the lexical similarity alone when embeddings are off. Matches at or above
+// SEEN_BEFORE_THRESHOLD are returned, best first, at most SEEN_BEFORE_MAX_MATCHES per row.
+// Banks of up to SEEN_BEFORE_SCAN_LIMIT questions are compared in full by embedding; larger banks
+// only compare the questions full-text search finds for each row.
+// Embeddings are stored per account, model and normalised text (question_embeddings), so a
+// question is only ever embedded once.
+
+const DEFAULTS = { threshold: 0.8, embeddingWeight: 0.7, maxMatches: 5, scanLimit: 5000 };
+const FTS_CANDIDATES = 25;
+const IN_CHUNK = 90; // Stays under D1's limit of 100 bound parameters per query
+
+function numberSetting(value, fallback, min, max) {
+    const n = parseFloat(value);
+    return isNaN(n) || n < min || n > max ? fallback : n;
+}
+
+/**
+ * Matcher settings: request options win over the SEEN_BEFORE_* vars, which win over the defaults.
+ */
+export function seenBeforeSettings(env, options = {}) {
+    return {
+        threshold: numberSetting(options.threshold ?? env.SEEN_BEFORE_THRESHOLD, DEFAULTS.threshold, 0, 1),
+        embeddingWeight: numberSetting(env.SEEN_BEFORE_EMBEDDING_WEIGHT, DEFAULTS.embeddingWeight, 0, 1),
+        maxMatches: Math.round(numberSetting(options.maxMatches ?? env.SEEN_BEFORE_MAX_MATCHES, DEFAULTS.maxMatches, 1, 100)),
+        scanLimit: Math.round(numberSetting(env.SEEN_BEFORE_SCAN_LIMIT, DEFAULTS.scanLimit, 0, 100000))
+    };
+}
+
+function chunks(list, size = IN_CHUNK) {
+    const out = [];
+    for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+    return out;
+}
+
+// Vectors are stored unit-length, so cosine similarity is a plain dot product
+function encodeVector(values) {
+    const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0)) || 1;
+    const bytes = new Uint8Array(Float32Array.from(values, v => v / norm).buffer);
+    let binary = '';
+    for (const b of bytes) binary += String.fromCharCode(b);
+    return btoa(binary);
+}
+
+function decodeVector(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Float32Array(bytes.buffer);
+}
+
+function dot(u, v) {
+    let sum = 0;
+    for (let i = 0; i < u.length; i++) sum += u[i] * v[i];
+    return sum;
+}
+
+/**
+ * Vectors for normalised texts, embedding (and storing) only the ones not in question_embeddings yet.
+ * @returns {Promise<{ vectors: Map<string, Float32Array>, usage: object, embedded: number }>}
+ */
+export async function ensureEmbeddings(env, accountId, model, texts) {
+    const wanted = [...new Set(texts.filter(Boolean))];
+    const vectors = new Map();
+    for (const chunk of chunks(wanted)) {
+        const { results } = await env.DB.prepare(
+            `SELECT normalized, vector FROM question_embeddings WHERE account_id = ? AND model = ? AND normalized IN (${chunk.map(() => '?').join(', ')})`
+        ).bind(accountId, model, ...chunk).all();
+        for (const row of results || []) vectors.set(row.normalized, decodeVector(row.vector));
+    }
+
+    const missing = wanted.filter(text => !vectors.has(text));
+    if (missing.length === 0) return { vectors, usage: {}, embedded: 0 };
+
+    const { vectors: embedded, usage } = await embedTexts(missing, env, model);
+    const insert = env.DB.prepare('INSERT OR REPLACE INTO question_embeddings (account_id, model, normalized, vector) VALUES (?, ?, ?, ?)');
+    const statements = missing.map((text, i) => {
+        const encoded = encodeVector(embedded[i]);
+        vectors.set(text, decodeVector(encoded));
+        return insert.bind(accountId, model, text, encoded);
+    });
+    for (const batch of chunks(statements, 100)) await env.DB.batch(batch);
+    return { vectors, usage, embedded: missing.length };
+}
+
+/**
+ * Embed the bank questions that have no vector for `model` yet, optionally only those of some papers.
+ * Also fills `normalized` on rows imported before that column existed.
+ */
+export async function embedMissingQuestions(env, accountId, model, { paperIds = null, limit = DEFAULTS.scanLimit } = {}) {
+    const { results: unnormalized } = await env.DB.prepare(
+        'SELECT id, question FROM questions WHERE account_id = ? AND normalized IS NULL LIMIT ?'
+    ).bind(accountId, limit).all();
+    if (unnormalized && unnormalized.length > 0) {
+        const update = env.DB.prepare('UPDATE questions SET normalized = ? WHERE id = ?');
+        for (const batch of chunks(unnormalized, 100)) {
+            await env.DB.batch(batch.map(q => update.bind(questionFeatures(q.question).normalized, q.id)));
+        }
+    }
+
+    const paperFilter = paperIds ? `AND q.paper_id IN (${paperIds.map(() => '?').join(', ')})` : '';
+    const { results } = await env.DB.prepare(`
+        SELECT DISTINCT q.normalized FROM questions q
+        LEFT JOIN question_embeddings e ON e.account_id = q.account_id AND e.model = ? AND e.normalized = q.normalized
+        WHERE q.account_id = ? AND e.normalized IS NULL AND q.normalized != '' ${paperFilter}
+        LIMIT ?
+    `).bind(model, accountId, ...(paperIds || []), limit).all();
+    return ensureEmbeddings(env, accountId, model, (results || []).map(r => r.normalized));
+}
+
+const CANDIDATE_COLUMNS = `q.id, q.paper_id, q.q_num, q.question, q.normalized, ${PAPER_FIELDS.map(f => `p.${f}`).join(', ')}`;
+
+function excludeClause(excludedPaperIds) {
+    return excludedPaperIds.length > 0 ? `AND q.paper_id NOT IN (${excludedPaperIds.map(() => '?').join(', ')})` : '';
+}
+
+// Bank questions that share a topic word with the row, best full-text matches first
+async function ftsCandidateIds(env, accountId, normalized, excludedPaperIds) {
+    const words = [...new Set(topicWords(normalized))];
+    if (words.length === 0) return [];
+    const { results } = await env.DB.prepare(`
+        SELECT q.id FROM questions_fts
+        JOIN questions q ON q.id = questions_fts.rowid
+        WHERE questions_fts MATCH ? AND q.account_id = ? ${excludeClause(excludedPaperIds)}
+        ORDER BY bm25(questions_fts)
+        LIMIT ?
+    `).bind(words.map(w => `"${w}"`).join(' OR '), accountId, ...excludedPaperIds, FTS_CANDIDATES).all();
+    return (results || []).map(r => r.id);
+}
+
+async function loadCandidatesById(env, ids) {
+    const rows = [];
+    for (const chunk of chunks(ids)) {
+        const { results } = await env.DB.prepare(`
+            SELECT ${CANDIDATE_COLUMNS} FROM questions q JOIN papers p ON p.id = q.paper_id
+            WHERE q.id IN (${chunk.map(() => '?').join(', ')})
+        `).bind(...chunk).all();
+        rows.push(...(results || []));
+    }
+    return rows;
+}
+
+function sourcePaper(candidate) {
+    return { id: candidate.paper_id, ...Object.fromEntries(PAPER_FIELDS.map(f => [f, candidate[f]])) };
+}
+
+/**
+ * Find earlier occurrences of each row's question in the bank.
+ * @param {Array<object>} rows - extraction rows or workbook rows (same columns as the bank import)
+ * @param {object} options - { sourceName, threshold, maxMatches, embeddingModel (null = lexical only) }
+ * @returns {Promise<{ rows: Array, usage: object, stats: object }>} rows[i] is
+ *   { index, question, seen_before: [{ question_id, question, q_num, score, exact, paper }] } for every
+ *   input row with a question; the paper being checked (same paper key) is never matched against itself.
+ */
+export async function findSeenBefore(env, accountId, rows, options = {}) {
+    const settings = seenBeforeSettings(env, options);
+    const model = options.embeddingModel || null;
+    const { papers } = groupRowsIntoPapers(rows, options.sourceName);
+
+    const items = [];
+    const keys = [];
+    for (const [key, paper] of papers) {
+        keys.push(key);
+        for (const q of paper.questions) items.push({ index: q.index, question: q.question, ...questionFeatures(q.question) });
+    }
+    items.sort((a, b) => a.index - b.index);
+
+    const excluded = [];
+    for (const chunk of chunks(keys)) {
+        const { results } = await env.DB.prepare(
+            `SELECT id FROM papers WHERE account_id = ? AND paper_key IN (${chunk.map(() => '?').join(', ')})`
+        ).bind(accountId, ...chunk).all();
+        excluded.push(...(results || []).map(r => r.id));
+    }
+
+    const usage = {};
+    const addUsage = (u = {}) => {
+        for (const [k, v] of Object.entries(u)) usage[k] = (usage[k] || 0) + (v || 0);
+    };
+
+    // Candidates: the whole bank when it is small enough to compare by embedding, else per-row
+    // full-text hits plus identical normalised texts
+    const countRow = await env.DB.prepare(
+        `SELECT COUNT(*) as total FROM questions q WHERE q.account_id = ? ${excludeClause(excluded)}`
+    ).bind(accountId, ...excluded).first();
+    const bankSize = countRow ? countRow.total : 0;
+    const fullScan = Boolean(model) && bankSize <= settings.scanLimit;
+
+    let candidates;
+    const perItem = new Map(); // item index → candidate ids (search mode only)
+    const vectors = new Map(); // normalised text → unit vector
+    if (fullScan) {
+        const { results } = await env.DB.prepare(`
+            SELECT ${CANDIDATE_COLUMNS}, e.vector FROM questions q
+            JOIN papers p ON p.id = q.paper_id
+            LEFT JOIN question_embeddings e ON e.account_id = q.account_id AND e.model = ? AND e.normalized = q.normalized
+            WHERE q.account_id = ? ${excludeClause(excluded)}
+        `).bind(model, accountId, ...excluded).all();
+        candidates = results || [];
+        for (const cand of candidates) {
+            if (cand.vector) vectors.set(cand.normalized, decodeVector(cand.vector));
+        }
+    } else {
+        const ids = new Set();
+        for (const item of items) {
+            const found = await ftsCandidateIds(env, accountId, item.normalized, excluded);
+            perItem.set(item.index, found);
+            found.forEach(id => ids.add(id));
+        }
+        const texts = [...new Set(items.map(item => item.normalized).filter(Boolean))];
+        for (const chunk of chunks(texts)) {
+            const { results } = await env.DB.prepare(`
+                SELECT q.id, q.normalized FROM questions q
+                WHERE q.account_id = ? AND q.normalized IN (${chunk.map(() => '?').join(', ')}) ${excludeClause(excluded)}
+            `).bind(accountId, ...chunk, ...excluded).all();
+            for (const row of results || []) {
+                ids.add(row.id);
+                for (const item of items) {
+                    if (item.normalized === row.normalized) perItem.get(item.index).push(row.id);
+                }
+            }
+        }
+        candidates = await loadCandidatesById(env, [...ids]);
+    }
+
+    const byId = new Map(candidates.map(({ vector, ...cand }) => [cand.id, { ...cand, ...questionFeatures(cand.question) }]));
+    if (model) {
+        // New rows are embedded (and stored) here too, so importing the paper afterwards costs nothing more
+        const texts = [...items.map(item => item.normalized), ...[...byId.values()].map(cand => cand.normalized)];
+        const ensured = await ensureEmbeddings(env, accountId, model, texts.filter(text => !vectors.has(text)));
+        for (const [text, vector] of ensured.vectors) vectors.set(text, vector);
+        addUsage(ensured.usage);
+    }
+
+    const weight = model ? settings.embeddingWeight : 0;
+    const results = items.map(item => {
+        const pool = fullScan ? byId.values() : [...new Set(perItem.get(item.index))].map(id => byId.get(id)).filter(Boolean);
+        const itemVector = vectors.get(item.normalized);
+        const matches = [];
+        for (const cand of pool) {
+            const exact = Boolean(item.normalized) && cand.normalized === item.normalized;
+            let score = 1;
+            if (!exact) {
+                const candVector = vectors.get(cand.normalized);
+                const cosine = itemVector && candVector ? dot(itemVector, candVector) : null;
+                const w = cosine === null ? 0 : weight;
+                // Skip the lexical comparison when even a perfect one could not reach the threshold
+                if (w > 0 && w * cosine + (1 - w) < settings.threshold) continue;
+                score = w * (cosine ?? 0) + (1 - w) * lexicalSimilarity(item, cand);
+            }
+            if (score >= settings.threshold) {
+                matches.push({
+                    question_id: cand.id,
+                    question: cand.question,
+                    q_num: cand.q_num,
+                    score: Math.round(score * 1000) / 1000,
+                    exact,
+                    paper: sourcePaper(cand)
+                });
+            }
+        }
+        matches.sort((a, b) => b.score - a.score || a.question_id - b.question_id);
+        return { index: item.index, question: item.question, seen_before: matches.slice(0, settings.maxMatches) };
+    });
+
+    return {
+        rows: results,
+        usage,
+        stats: {
+            questions: results.length,
+            seen_before: results.filter(r => r.seen_before.length > 0).length,
+            bank_size: bankSize,
+            mode: fullScan ? 'full_scan' : 'search',
+            embedding_model: model,
+            threshold: settings.threshold,
+            max_matches: settings.maxMatches
+        }
+    };
+}
+
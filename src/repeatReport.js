@@ -0,0 +1,188 @@
+import { normalizeQuestion } from './questionClustering.js';
+
+// "Most repeated questions" report over the question bank (/api/reports/repeats).
+// A topic is a saved Repeat Sorter merged row (repeat_topics) or, for questions no sorter run has
+// covered, the normalised question text itself. Topics are ranked by the number of distinct papers
+// that asked them, with the sittings (Month Year), universities and paper names listed.
+
+export const DEFAULT_MIN_TIMES = 2;
+export const DEFAULT_REPORT_LIMIT = 100;
+export const MAX_REPORT_LIMIT = 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * "May 2023", "Dec-21", "Sept'2020", "05/2023", "2019" → { year, month } (month null when not given);
+ * null when no year can be read.
+ */
+export function parseMonthYear(text) {
+    const s = String(text ?? '').toLowerCase();
+    let year = null;
+    const fullYear = s.match(/\b(19|20)\d{2}\b/);
+    if (fullYear) {
+        year = parseInt(fullYear[0], 10);
+    } else {
+        const shortYear = s.match(/(?:['’\-/\s]|^|[a-z])(\d{2})\b/);
+        if (shortYear) year = 2000 + parseInt(shortYear[1], 10);
+    }
+    if (year === null) return null;
+
+    let month = null;
+    const named = s.match(/[a-z]{3,}/g) || [];
+    for (const word of named) {
+        const index = MONTHS.indexOf(word.slice(0, 3));
+        if (index !== -1) {
+            month = index + 1;
+            break;
+        }
+    }
+    if (month === null) {
+        const numeric = s.match(/\b(\d{1,2})\s*[/\-.]\s*(?:19|20)?\d{2}\b/);
+        if (numeric && parseInt(numeric[1], 10) >= 1 && parseInt(numeric[1], 10) <= 12) month = parseInt(numeric[1], 10);
+    }
+    return { year, month };
+}
+
+// 'YYYY' or 'YYYY-MM' → months since year 0 (a bare year covers its whole span)
+function rangeBound(value, end) {
+    if (!value) return null;
+    const match = String(value).match(/^(\d{4})(?:-(\d{2}))?$/);
+    if (!match) {
+        const err = new Error('from and to must be YYYY or YYYY-MM');
+        err.status = 400;
+        throw err;
+    }
+    const month = match[2] ? parseInt(match[2], 10) : (end ? 12 : 1);
+    return parseInt(match[1], 10) * 12 + month;
+}
+
+function monthIndex(date, end) {
+    return date.year * 12 + (date.month ?? (end ? 12 : 1));
+}
+
+/**
+ * Save one AI Repeat Sorter batch as topics: `groups` as sent to /api/ai-sorter and the `results`
+ * it returned. Each result row becomes a topic over the questions its mergedIndices point at.
+ * @returns {Promise<{ topics: number, questions: number }>}
+ */
+export async function saveRepeatTopics(env, accountId, userEmail, { groups, results, subject }) {
+    const byGroup = new Map(groups.map(g => [String(g.groupId), g]));
+    let topics = 0;
+    let questions = 0;
+
+    for (const row of results) {
+        const group = byGroup.get(String(row.groupId));
+        if (!group || !Array.isArray(row.mergedIndices)) continue;
+        const texts = row.mergedIndices
+            .map(i => (i === 0 ? group.repQuestion : (group.similarQuestions || [])[i - 1]))
+            .filter(text => typeof text === 'string');
+        const members = [...new Set(texts.map(normalizeQuestion).filter(Boolean))];
+        if (members.length === 0) continue;
+
+        const topic = await env.DB.prepare(
+            'INSERT INTO repeat_topics (account_id, subject, topic, created_by) VALUES (?, ?, ?, ?) RETURNING id'
+        ).bind(accountId, subject || null, String(row.mergedQuestion || texts[0]).trim(), userEmail).first();
+        const insert = env.DB.prepare('INSERT OR REPLACE INTO repeat_topic_members (account_id, normalized, topic_id) VALUES (?, ?, ?)');
+        await env.DB.batch(members.map(text => insert.bind(accountId, text, topic.id)));
+        topics++;
+        questions += members.length;
+    }
+
+    // Topics whose every question moved to a newer topic are dropped
+    await env.DB.prepare(`
+        DELETE FROM repeat_topics WHERE account_id = ?
+        AND id NOT IN (SELECT DISTINCT topic_id FROM repeat_topic_members WHERE account_id = ?)
+    `).bind(accountId, accountId).run();
+
+    return { topics, questions };
+}
+
+function sortedSittings(occurrences) {
+    const seen = new Map();
+    for (const o of occurrences) {
+        if (o.month_year && !seen.has(o.month_year)) seen.set(o.month_year, o.date ? monthIndex(o.date, false) : Infinity);
+    }
+    return [...seen.entries()].sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0])).map(([label]) => label);
+}
+
+function distinct(values) {
+    return [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Rank topics by how often they were asked.
+ * @param {object} filters - { subject, university, from, to (YYYY or YYYY-MM), minTimes, limit }
+ * @returns {Promise<{ topics: Array, total_topics: number, questions_considered: number, undated_excluded: number, filters: object }>}
+ */
+export async function buildRepeatReport(env, accountId, filters = {}) {
+    const from = rangeBound(filters.from, false);
+    const to = rangeBound(filters.to, true);
+    const minTimes = Math.max(parseInt(filters.minTimes, 10) || DEFAULT_MIN_TIMES, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_REPORT_LIMIT, 1), MAX_REPORT_LIMIT);
+
+    const where = ['q.account_id = ?'];
+    const params = [accountId];
+    for (const field of ['subject', 'university']) {
+        if (filters[field]) {
+            where.push(`p.${field} = ? COLLATE NOCASE`);
+            params.push(String(filters[field]).trim());
+        }
+    }
+    const { results: rows } = await env.DB.prepare(`
+        SELECT q.question, q.normalized, q.paper_id, p.university, p.subject, p.paper, p.month_year, p.type,
+            t.id as topic_id, t.topic
+        FROM questions q
+        JOIN papers p ON p.id = q.paper_id
+        LEFT JOIN repeat_topic_members m ON m.account_id = q.account_id AND m.normalized = q.normalized
+        LEFT JOIN repeat_topics t ON t.id = m.topic_id
+        WHERE ${where.join(' AND ')}
+    `).bind(...params).all();
+
+    const topics = new Map();
+    let considered = 0;
+    let undated = 0;
+    for (const row of rows || []) {
+        const date = parseMonthYear(row.month_year);
+        if (from !== null || to !== null) {
+            if (!date) {
+                undated++;
+                continue;
+            }
+            if ((from !== null && monthIndex(date, true) < from) || (to !== null && monthIndex(date, false) > to)) continue;
+        }
+        considered++;
+        const normalized = row.normalized ?? normalizeQuestion(row.question);
+        const key = row.topic_id ? `topic:${row.topic_id}` : `text:${normalized}`;
+        if (!topics.has(key)) {
+            topics.set(key, { topic_id: row.topic_id || null, topic: row.topic || row.question, occurrences: [] });
+        }
+        topics.get(key).occurrences.push({ ...row, date });
+    }
+
+    const ranked = [...topics.values()]
+        .map(t => {
+            const dates = t.occurrences.filter(o => o.date).map(o => monthIndex(o.date, false));
+            return {
+                topic_id: t.topic_id,
+                topic: t.topic,
+                times_asked: new Set(t.occurrences.map(o => o.paper_id)).size,
+                occurrences: t.occurrences.length,
+                month_years: sortedSittings(t.occurrences),
+                universities: distinct(t.occurrences.map(o => o.university)),
+                papers: distinct(t.occurrences.map(o => o.paper)),
+                subjects: distinct(t.occurrences.map(o => o.subject)),
+                variants: distinct(t.occurrences.map(o => o.question)).slice(0, 5),
+                latest: dates.length > 0 ? Math.max(...dates) : -1
+            };
+        })
+        .filter(t => t.times_asked >= minTimes)
+        .sort((a, b) => b.times_asked - a.times_asked || b.occurrences - a.occurrences || b.latest - a.latest || a.topic.localeCompare(b.topic));
+
+    return {
+        topics: ranked.slice(0, limit).map(({ latest, ...t }, i) => ({ rank: i + 1, ...t })),
+        total_topics: ranked.length,
+        questions_considered: considered,
+        undated_excluded: undated,
+        filters: { subject: filters.subject || null, university: filters.university || null, from: filters.from || null, to: filters.to || null, min_times: minTimes, limit }
+    };
+}
@@ -0,0 +1,233 @@
+import { chatWithModel } from './llm.js';
+import { parseQuestionNumber } from './excelGroupParser.js';
+
+// Code-side enforcement of the Context Restorer rules (see DEFAULT_RESTORE_PROMPT in index.js).
+// The model's answer is checked row by row. Anchors are put back to their original text by code;
+// rows that are missing or break a rule only the model can fix (placeholders, shortened vignettes)
+// are sent back to it.
+// Every returned row carries `validation: { outcome, notes }`, where outcome is one of
+//   accepted     — the model's row as returned
+//   corrected    — changed by the worker (notes say why)
+//   rerequested  — fixed by the model on a follow-up request
+//   reverted     — still invalid after the follow-ups; the original text is kept
+//   missing      — never returned at all; status 'Error' with the original text
+
+const DEFAULT_MAX_REREQUESTS = 2;
+const STATUSES = ['Complete', 'Incomplete'];
+const MISSING = 'id missing from the response';
+
+// Brackets, braces and template-ish filler the prompt forbids in restored text
+const PLACEHOLDER_PATTERNS = [/\[[^\]]*\]/, /\{[^}]*\}/, /<[^>]+>/, /\b(placeholder|insert (the )?\w+ here|TBD|XXX)\b/i];
+const VIGNETTE_PATTERN = /\b\d+[\s-]*(year|yr|month|week|day)s?[\s-]*old\b|\bpresent(s|ed)? (to|with)\b|\badmitted (to|with)\b|\bcomplain(s|ed|ing)? of\b/i;
+
+function getMaxRerequests(env) {
+    const max = parseInt(env.RESTORE_MAX_REREQUESTS, 10);
+    return isNaN(max) || max < 0 ? DEFAULT_MAX_REREQUESTS : max;
+}
+
+// Anchors per the prompt: the 'a' subpart, or a plain number with no subparts
+export function isAnchor(qNum) {
+    const num = parseQuestionNumber(qNum);
+    if (num.unreadable || num.section) return false;
+    if (num.root !== null && num.parts.length === 0) return true;
+    return num.parts[0] === 'a';
+}
+
+/**
+ * Ids of the anchors in a batch. A lone roman token ("ii") is a subpart, not a question, when it
+ * follows an arabic question of the same group (as in groupRows) or is not the first row of its
+ * group (`group_index` from flattenGroups, for groups split across batches).
+ * @returns {Set<string>}
+ */
+export function anchorIds(items) {
+    const arabicGroups = new Set();
+    const anchors = new Set();
+    for (const item of items) {
+        const num = parseQuestionNumber(item.q_num);
+        const group = item.group_id ?? null;
+        const romanSubpart = num.rootStyle === 'roman' && num.parts.length === 0 && (arabicGroups.has(group) || item.group_index > 0);
+        if (!romanSubpart && isAnchor(item.q_num)) anchors.add(String(item.id));
+        if (num.rootStyle === 'arabic') arabicGroups.add(group);
+    }
+    return anchors;
+}
+
+function parseReply(reply) {
+    try {
+        const parsed = JSON.parse(String(reply || '').replace(/```json|```/g, '').trim());
+        return { rows: Array.isArray(parsed) ? parsed : [parsed] };
+    } catch (e) {
+        return { rows: [], error: `Response was not valid JSON (${e.message})` };
+    }
+}
+
+function newPlaceholder(original, restored) {
+    for (const pattern of PLACEHOLDER_PATTERNS) {
+        const match = restored.match(pattern);
+        if (match && !original.includes(match[0])) return match[0];
+    }
+    return null;
+}
+
+/**
+ * Check one returned row against its original item.
+ * @returns {{ row: object|null, notes: string[], problem: string|null }} problem means the model must redo it
+ */
+function checkRow(item, result, anchor) {
+    const original = String(item.q_text ?? '');
+    const restored = typeof result.restored_text === 'string' ? result.restored_text : '';
+    const notes = [];
+
+    if (anchor) {
+        if (restored.trim() !== original.trim() || result.status !== 'Complete') {
+            notes.push(`Anchor ${item.q_num} must not be changed; original text restored`);
+        }
+        return { row: { id: item.id, status: 'Complete', restored_text: original }, notes, problem: null };
+    }
+
+    if (!STATUSES.includes(result.status)) {
+        return { row: null, notes, problem: `status must be "Complete" or "Incomplete", got ${JSON.stringify(result.status ?? null)}` };
+    }
+    if (!restored.trim()) {
+        return { row: null, notes, problem: 'restored_text is empty' };
+    }
+    const placeholder = newPlaceholder(original, restored);
+    if (placeholder) {
+        return { row: null, notes, problem: `restored_text contains a placeholder or bracket: ${placeholder}` };
+    }
+    if (VIGNETTE_PATTERN.test(original) && restored.trim().length < original.trim().length) {
+        return { row: null, notes, problem: 'the clinical vignette was shortened; only missing context may be added' };
+    }
+    return { row: { id: item.id, status: result.status, restored_text: restored }, notes, problem: null };
+}
+
+/**
+ * Validate one model answer for `items` (the rows that were asked for). `anchors` comes from
+ * anchorIds over the whole batch, since re-requests only send part of it.
+ * @returns {{ accepted: Map<id, { row, notes }>, problems: Map<id, string>, unknownIds: Array }}
+ */
+export function validateRestoreResults(items, results, anchors = anchorIds(items)) {
+    const byId = new Map(items.map(item => [String(item.id), item]));
+    const accepted = new Map();
+    const problems = new Map();
+    const unknownIds = [];
+
+    for (const result of results) {
+        const key = String(result && result.id);
+        const item = byId.get(key);
+        if (!item) {
+            unknownIds.push(result && result.id);
+            continue;
+        }
+        if (accepted.has(key)) continue; // Duplicate: the first answer wins
+        const { row, notes, problem } = checkRow(item, result, anchors.has(key));
+        if (problem) {
+            problems.set(key, problem);
+        } else {
+            accepted.set(key, { row, notes });
+            problems.delete(key);
+        }
+    }
+    for (const [key, item] of byId) {
+        if (accepted.has(key) || problems.has(key)) continue;
+        if (anchors.has(key)) {
+            // No need to ask again: an anchor's answer is its original text
+            accepted.set(key, {
+                row: { id: item.id, status: 'Complete', restored_text: item.q_text },
+                notes: [`Anchor ${item.q_num} missing from the response; original text used`]
+            });
+        } else {
+            problems.set(key, MISSING);
+        }
+    }
+    return { accepted, problems, unknownIds };
+}
+
+function followUpMessage(problems, unknownIds, parseError) {
+    const lines = ['Your previous answer broke the output rules:'];
+    if (parseError) lines.push(`- ${parseError}`);
+    for (const [id, problem] of problems) lines.push(`- id ${id}: ${problem}`);
+    if (unknownIds.length > 0) lines.push(`- ids that were not in the input: ${unknownIds.join(', ')}`);
+    lines.push(`Return ONLY a JSON array with corrected entries for ids ${[...problems.keys()].join(', ')} (same keys as before), and nothing else.`);
+    return lines.join('\n');
+}
+
+/**
+ * Run one Context Restorer batch and enforce its rules: the answer is validated and the missing or
+ * invalid ids are re-requested (up to RESTORE_MAX_REREQUESTS times, default 2) in the same conversation.
+ * @param {object} options - { onRetry } passed through to the LLM client
+ * @returns {Promise<{ results: Array, usage: object, truncated: boolean, continuations: number, rerequests: number, unknown_ids: Array }>}
+ *   results has exactly one row per batch item, in batch order, each with a `validation` field.
+ */
+export async function restoreWithValidation(env, batch, systemPrompt, model, options = {}) {
+    const usage = { promptTokenCount: 0, candidatesTokenCount: 0, totalTokenCount: 0 };
+    const final = new Map();
+    const unknownIds = [];
+    let truncated = false;
+    let continuations = 0;
+    let rerequests = 0;
+
+    const messages = [{ role: 'user', content: JSON.stringify(batch) }];
+    let pending = batch;
+    let lastProblems = new Map();
+    const answered = new Set(); // Ids the model returned at least once, valid or not
+    const maxRerequests = getMaxRerequests(env);
+    const anchors = anchorIds(batch);
+
+    for (let round = 0; round <= maxRerequests && pending.length > 0; round++) {
+        const aiRes = await chatWithModel(messages, [], systemPrompt, env, model, options);
+        usage.promptTokenCount += aiRes.usage?.promptTokenCount || 0;
+        usage.candidatesTokenCount += aiRes.usage?.candidatesTokenCount || 0;
+        usage.totalTokenCount += aiRes.usage?.totalTokenCount || 0;
+        truncated = truncated || Boolean(aiRes.truncated);
+        continuations += aiRes.continuations || 0;
+
+        const { rows, error } = parseReply(aiRes.reply);
+        const { accepted, problems, unknownIds: unknown } = validateRestoreResults(pending, rows, anchors);
+        unknownIds.push(...unknown);
+        for (const [key, problem] of problems) {
+            if (problem !== MISSING) answered.add(key);
+        }
+
+        for (const [key, { row, notes }] of accepted) {
+            const outcome = round > 0 ? 'rerequested' : (notes.length > 0 ? 'corrected' : 'accepted');
+            const history = round > 0 ? [`Re-requested: ${lastProblems.get(key)}`, ...notes] : notes;
+            final.set(key, { ...row, validation: { outcome, notes: history } });
+        }
+
+        pending = pending.filter(item => problems.has(String(item.id)));
+        lastProblems = problems;
+        if (pending.length === 0 || round === maxRerequests) break;
+
+        console.log(`[Restore] Re-requesting ${pending.length} of ${batch.length} ids: ${[...problems.values()].join('; ')}`);
+        rerequests++;
+        messages.push(
+            { role: 'model', content: aiRes.reply },
+            { role: 'user', content: followUpMessage(problems, unknown, error) }
+        );
+    }
+
+    // Whatever is still missing or invalid keeps its original text
+    for (const item of pending) {
+        const problem = lastProblems.get(String(item.id));
+        const missing = !answered.has(String(item.id));
+        final.set(String(item.id), {
+            id: item.id,
+            status: missing ? 'Error' : 'Complete',
+            restored_text: item.q_text,
+            validation: {
+                outcome: missing ? 'missing' : 'reverted',
+                notes: [`${problem} after ${rerequests} re-request(s); original text kept`]
+            }
+        });
+    }
+
+    return {
+        results: batch.map(item => final.get(String(item.id))),
+        usage,
+        truncated,
+        continuations,
+        rerequests,
+        unknown_ids: unknownIds
+    };
+}
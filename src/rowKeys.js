@@ -0,0 +1,9 @@
+// Column lookups on model-produced rows are loose because the model does not always echo
+// header names exactly ("S. No", "SNo", "Month/Year").
+export function normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export function findKey(row, normalizedName) {
+    return Object.keys(row).find(k => normalizeKey(k) === normalizedName);
+}
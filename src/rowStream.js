@@ -0,0 +1,146 @@
+// Incremental row parsing for streamed extractions: feed text chunks as they arrive and get back
+// every row that is complete so far. Handles the two formats the extraction prompt allows —
+// a JSON array of objects, or pipe-separated lines with an optional header line.
+
+export const PSV_HEADERS = [
+    "S.No", "Question", "Paper", "Subject", "Month Year",
+    "Type", "Section", "University Name", "CBME", "Supplementary"
+];
+
+export function isPsvHeader(line) {
+    const lower = line.toLowerCase();
+    return lower.includes('|') && (lower.includes('question') || lower.includes('s.no'));
+}
+
+export function parsePsvHeader(line) {
+    return line.split('|').map(h => h.trim()).filter(h => h !== '');
+}
+
+// One PSV line → row object, or null when the line is not a data row
+export function parsePsvLine(headers, line) {
+    if (!line.includes('|')) return null;
+    if (/^\|?[\s:-]+(\|[\s:-]+)+\|?$/.test(line)) return null; // Markdown table separator
+    const values = line.split('|').map(v => v.trim());
+    const row = {};
+    headers.forEach((header, index) => {
+        row[header] = values[index] || '';
+    });
+    return row;
+}
+
+// Wrapper objects the model sometimes returns instead of a bare array
+function unwrapRows(parsed) {
+    if (Array.isArray(parsed)) return parsed;
+    for (const key of ['questions', 'data', 'results']) {
+        if (parsed && Array.isArray(parsed[key])) return parsed[key];
+    }
+    return [parsed];
+}
+
+/**
+ * @returns {{ push(text: string): Array, end(): Array }} push returns the rows completed by the
+ *   new text; end returns whatever is left (e.g. a last PSV line without a newline).
+ */
+export function createRowParser() {
+    let mode = null; // 'json' | 'psv'
+    let pending = '';
+
+    // JSON scanning state: objects that open at brace depth 0 are rows
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let objectStart = -1;
+    let scanned = 0;
+
+    // PSV state
+    let headers = PSV_HEADERS;
+    let sawLine = false;
+
+    function detectMode() {
+        // Wait for the whole ``` fence line before looking past it
+        if (pending.trimStart().startsWith('`') && !pending.includes('\n')) return;
+        const text = pending.replace(/^\s*```(?:json|psv|csv)?\s*/i, '');
+        const first = text.trimStart()[0];
+        if (!first) return;
+        mode = first === '[' || first === '{' ? 'json' : 'psv';
+        pending = text.trimStart();
+    }
+
+    function scanJson() {
+        const rows = [];
+        for (let i = scanned; i < pending.length; i++) {
+            const ch = pending[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === '\\') escaped = true;
+                else if (ch === '"') inString = false;
+                continue;
+            }
+            if (ch === '"') {
+                inString = true;
+            } else if (ch === '{') {
+                if (depth === 0) objectStart = i;
+                depth++;
+            } else if (ch === '}' && depth > 0) {
+                depth--;
+                if (depth === 0 && objectStart !== -1) {
+                    try {
+                        rows.push(...unwrapRows(JSON.parse(pending.slice(objectStart, i + 1))));
+                    } catch (e) {
+                        console.error('Skipping unparseable streamed object:', e.message);
+                    }
+                    objectStart = -1;
+                }
+            }
+        }
+        // Drop consumed text so the buffer only holds the object being written
+        if (objectStart === -1) {
+            pending = '';
+            scanned = 0;
+        } else {
+            pending = pending.slice(objectStart);
+            scanned = pending.length;
+            objectStart = 0;
+        }
+        return rows;
+    }
+
+    function psvLines(lines) {
+        const rows = [];
+        for (const raw of lines) {
+            const line = raw.trim();
+            if (!line || line.startsWith('```')) continue;
+            if (!sawLine && isPsvHeader(line)) {
+                headers = parsePsvHeader(line);
+                sawLine = true;
+                continue;
+            }
+            sawLine = true;
+            const row = parsePsvLine(headers, line);
+            if (row) rows.push(row);
+        }
+        return rows;
+    }
+
+    return {
+        push(text) {
+            pending += text;
+            if (!mode) detectMode();
+            if (mode === 'json') return scanJson();
+            if (mode === 'psv') {
+                const lines = pending.split('\n');
+                pending = lines.pop();
+                return psvLines(lines);
+            }
+            return [];
+        },
+        end() {
+            if (mode === 'psv') {
+                const rest = pending;
+                pending = '';
+                return psvLines([rest]);
+            }
+            return [];
+        }
+    };
+}
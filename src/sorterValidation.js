@@ -0,0 +1,271 @@
+import { chatWithModel } from './llm.js';
+
+// Server-side check of the AI Repeat Sorter's "ledger of conservation" (see SORTER_PROMPT in index.js):
+// per group, every index 0..totalQuestions-1 must appear in exactly one output row, a one-index
+// row is "Unmerged" and a multi-index row "Merged", and subGroup is null when the group has a
+// single row (otherwise "A", "B", ...). Groups that break a rule are asked again with the
+// violations spelled out (SORTER_MAX_REASKS times, default 1); whatever still fails is repaired
+// in code. The per-group report says which path each group took:
+//   valid     — the first answer passed
+//   reasked   — a follow-up answer passed
+//   repaired  — fixed deterministically (repairs lists each change)
+//   error     — the batch's model call failed; /api/ai-sorter returned the group unsorted (see error)
+
+const DEFAULT_MAX_REASKS = 1;
+
+function getMaxReasks(env) {
+    const max = parseInt(env.SORTER_MAX_REASKS, 10);
+    return isNaN(max) || max < 0 ? DEFAULT_MAX_REASKS : max;
+}
+
+function questionCount(group) {
+    return 1 + (Array.isArray(group.similarQuestions) ? group.similarQuestions.length : 0);
+}
+
+function questionText(group, index) {
+    return index === 0 ? group.repQuestion : group.similarQuestions[index - 1];
+}
+
+function subGroupLetter(i) {
+    return i < 26 ? String.fromCharCode(65 + i) : `A${i - 25}`;
+}
+
+function parseReply(reply) {
+    try {
+        const parsed = JSON.parse(String(reply || '').replace(/```json|```/g, '').trim());
+        return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (e) {
+        console.error('AI Sorter reply was not valid JSON:', e.message);
+        return [];
+    }
+}
+
+// Output rows by groupId; rows for groups that were not asked about are collected separately
+function rowsByGroup(groups, rows) {
+    const byGroup = new Map(groups.map(g => [String(g.groupId), []]));
+    const unknown = [];
+    for (const row of rows) {
+        const list = row && byGroup.get(String(row.groupId));
+        if (list) list.push(row);
+        else unknown.push(row && row.groupId);
+    }
+    return { byGroup, unknown };
+}
+
+/**
+ * Check one group's output rows against the ledger rules.
+ * @returns {string[]} violations, empty when the group is valid
+ */
+export function validateSorterGroup(group, rows) {
+    const total = questionCount(group);
+    const violations = [];
+    if (rows.length === 0) return ['group missing from the response'];
+
+    const seen = new Map();
+    rows.forEach((row, r) => {
+        const label = rows.length > 1 ? `row ${r + 1}` : 'the row';
+        const indices = Array.isArray(row.mergedIndices) ? row.mergedIndices : [];
+        if (indices.length === 0) violations.push(`${label} has no mergedIndices`);
+        for (const index of indices) {
+            if (!Number.isInteger(index) || index < 0 || index >= total) {
+                violations.push(`${label} has index ${JSON.stringify(index)}, outside 0..${total - 1}`);
+            } else {
+                seen.set(index, (seen.get(index) || 0) + 1);
+            }
+        }
+        const expected = indices.length === 1 ? 'Unmerged' : 'Merged';
+        if (indices.length > 0 && row.status !== expected) {
+            violations.push(`${label} has ${indices.length} ${indices.length === 1 ? 'index' : 'indices'} but status ${JSON.stringify(row.status ?? null)} (must be "${expected}")`);
+        }
+        if (typeof row.mergedQuestion !== 'string' || !row.mergedQuestion.trim()) {
+            violations.push(`${label} has an empty mergedQuestion`);
+        }
+    });
+
+    const missing = [];
+    const duplicated = [];
+    for (let i = 0; i < total; i++) {
+        if (!seen.has(i)) missing.push(i);
+        else if (seen.get(i) > 1) duplicated.push(i);
+    }
+    if (missing.length > 0) violations.push(`indices dropped: ${missing.join(', ')}`);
+    if (duplicated.length > 0) violations.push(`indices used more than once: ${duplicated.join(', ')}`);
+
+    if (rows.length === 1 && rows[0].subGroup !== null && rows[0].subGroup !== undefined) {
+        violations.push(`single output row must have subGroup null, got ${JSON.stringify(rows[0].subGroup)}`);
+    }
+    if (rows.length > 1) {
+        const labels = rows.map(row => row.subGroup);
+        if (labels.some(l => !l) || new Set(labels).size !== labels.length) {
+            violations.push('a group split into several rows needs distinct subGroup labels ("A", "B", ...)');
+        }
+    }
+    return violations;
+}
+
+/**
+ * Make a group's rows satisfy the ledger without asking the model again: out-of-range and repeated
+ * indices are dropped, dropped questions come back as their own Unmerged rows, and status and
+ * subGroup are recomputed.
+ * @returns {{ rows: Array, repairs: string[] }}
+ */
+export function repairSorterGroup(group, rows) {
+    const total = questionCount(group);
+    const repairs = [];
+    const used = new Set();
+    const repaired = [];
+
+    for (const row of rows) {
+        const indices = [];
+        for (const index of Array.isArray(row.mergedIndices) ? row.mergedIndices : []) {
+            if (!Number.isInteger(index) || index < 0 || index >= total) {
+                repairs.push(`removed invalid index ${JSON.stringify(index)}`);
+            } else if (used.has(index)) {
+                repairs.push(`removed duplicate index ${index}`);
+            } else {
+                used.add(index);
+                indices.push(index);
+            }
+        }
+        if (indices.length === 0) {
+            repairs.push('removed a row left without indices');
+            continue;
+        }
+        let mergedQuestion = typeof row.mergedQuestion === 'string' ? row.mergedQuestion.trim() : '';
+        if (!mergedQuestion) {
+            mergedQuestion = String(questionText(group, indices[0]) ?? '');
+            repairs.push(`filled empty mergedQuestion from index ${indices[0]}`);
+        }
+        repaired.push({ groupId: group.groupId, subGroup: null, status: row.status, mergedQuestion, mergedIndices: indices });
+    }
+
+    for (let i = 0; i < total; i++) {
+        if (used.has(i)) continue;
+        repaired.push({ groupId: group.groupId, subGroup: null, status: 'Unmerged', mergedQuestion: String(questionText(group, i) ?? ''), mergedIndices: [i] });
+        repairs.push(`restored dropped index ${i} as its own row`);
+    }
+
+    repaired.forEach((row, i) => {
+        const status = row.mergedIndices.length === 1 ? 'Unmerged' : 'Merged';
+        if (row.status !== status) repairs.push(`set status of indices [${row.mergedIndices.join(', ')}] to ${status}`);
+        row.status = status;
+        row.subGroup = repaired.length > 1 ? subGroupLetter(i) : null;
+    });
+    const labelsBefore = rows.map(r => r.subGroup ?? null).join(',');
+    const labelsAfter = repaired.map(r => r.subGroup).join(',');
+    if (labelsBefore !== labelsAfter) repairs.push(`relabelled subGroups as ${repaired.length > 1 ? labelsAfter : 'null'}`);
+
+    return { rows: repaired, repairs };
+}
+
+function followUpMessage(failing) {
+    const lines = ['Your previous answer broke the ledger rules for these groups:'];
+    for (const { group, violations } of failing) {
+        lines.push(`- ${group.groupId} (totalQuestions ${questionCount(group)}): ${violations.join('; ')}`);
+    }
+    lines.push(`Return ONLY a JSON array with the complete corrected output (every row) for groups ${failing.map(f => f.group.groupId).join(', ')}, and nothing else.`);
+    return lines.join('\n');
+}
+
+/**
+ * Run one AI Repeat Sorter batch with ledger validation, re-asks and deterministic repair.
+ * Errors from the first model call are thrown (the caller has its own fallback); a failed re-ask
+ * just leaves the affected groups to the repair step.
+ * @param {object} options - { onRetry } passed through to the LLM client
+ * @returns {Promise<{ results: Array, report: Array, usage: object, reasks: number, unknown_group_ids: Array }>}
+ *   results keeps the input group order; report has one entry per group.
+ */
+export async function sortWithValidation(env, groups, systemPrompt, model, options = {}) {
+    const usage = { promptTokenCount: 0, candidatesTokenCount: 0, totalTokenCount: 0 };
+    const addUsage = (u = {}) => {
+        usage.promptTokenCount += u.promptTokenCount || 0;
+        usage.candidatesTokenCount += u.candidatesTokenCount || 0;
+        usage.totalTokenCount += u.totalTokenCount || 0;
+    };
+
+    const messages = [{ role: 'user', content: JSON.stringify(groups) }];
+    const aiRes = await chatWithModel(messages, [], systemPrompt, env, model, options);
+    addUsage(aiRes.usage);
+
+    const { byGroup, unknown } = rowsByGroup(groups, parseReply(aiRes.reply));
+    const unknownGroupIds = [...unknown];
+    const current = new Map();   // groupId → latest rows
+    const reports = new Map();
+    let failing = [];
+    for (const group of groups) {
+        const key = String(group.groupId);
+        const rows = byGroup.get(key);
+        const violations = validateSorterGroup(group, rows);
+        current.set(key, rows);
+        reports.set(key, { groupId: group.groupId, outcome: 'valid', violations, repairs: [] });
+        if (violations.length > 0) failing.push({ group, violations });
+    }
+
+    let reasks = 0;
+    let lastReply = aiRes.reply;
+    const maxReasks = getMaxReasks(env);
+    while (failing.length > 0 && reasks < maxReasks) {
+        reasks++;
+        console.log(`[Sorter] Re-asking ${failing.length} of ${groups.length} groups: ${failing.map(f => f.group.groupId).join(', ')}`);
+        messages.push(
+            { role: 'model', content: lastReply },
+            { role: 'user', content: followUpMessage(failing) }
+        );
+        let reply;
+        try {
+            const res = await chatWithModel(messages, [], systemPrompt, env, model, options);
+            addUsage(res.usage);
+            reply = res.reply;
+        } catch (e) {
+            console.error('AI Sorter re-ask failed, repairing instead:', e.message);
+            break;
+        }
+        lastReply = reply;
+
+        const failingGroups = failing.map(f => f.group);
+        const retried = rowsByGroup(failingGroups, parseReply(reply));
+        unknownGroupIds.push(...retried.unknown);
+        const stillFailing = [];
+        for (const prev of failing) {
+            const { group } = prev;
+            const key = String(group.groupId);
+            const rows = retried.byGroup.get(key);
+            const violations = validateSorterGroup(group, rows);
+            if (violations.length === 0) {
+                current.set(key, rows);
+                reports.get(key).outcome = 'reasked';
+            } else if (violations.length <= prev.violations.length) {
+                // Keep whichever answer is closer to valid for the repair step (ties go to the newer one)
+                current.set(key, rows);
+                stillFailing.push({ group, violations });
+            } else {
+                stillFailing.push(prev);
+            }
+        }
+        failing = stillFailing;
+    }
+
+    for (const { group } of failing) {
+        const key = String(group.groupId);
+        const { rows, repairs } = repairSorterGroup(group, current.get(key));
+        current.set(key, rows);
+        Object.assign(reports.get(key), { outcome: 'repaired', repairs });
+    }
+
+    // Normalise a missing subGroup on valid single-row output to null
+    const results = groups.flatMap(group => current.get(String(group.groupId)).map(row => ({
+        groupId: group.groupId,
+        subGroup: row.subGroup ?? null,
+        status: row.status,
+        mergedQuestion: row.mergedQuestion,
+        mergedIndices: row.mergedIndices
+    })));
+
+    return {
+        results,
+        report: groups.map(group => reports.get(String(group.groupId))),
+        usage,
+        reasks,
+        unknown_group_ids: unknownGroupIds
+    };
+}
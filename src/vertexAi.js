@@ -1,7 +1,36 @@
 import * as jose from 'jose';
 import { Buffer } from 'node:buffer';
+import { parseRetryAfter, readServerSentEvents } from './llmClient.js';
+
+// Access tokens are cached per service account (for the life of the isolate) and refreshed
+// TOKEN_REFRESH_MARGIN_MS before they expire; concurrent callers share one in-flight request.
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const tokenCache = new Map();
 
 async function getAccessToken(env) {
+    const cacheKey = env.GOOGLE_APPLICATION_CREDENTIALS || '';
+    const cached = tokenCache.get(cacheKey);
+    if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+        return (await cached.promise).token;
+    }
+
+    const entry = { promise: requestAccessToken(env), expiresAt: Infinity };
+    tokenCache.set(cacheKey, entry);
+    try {
+        const { token, expiresIn } = await entry.promise;
+        entry.expiresAt = Date.now() + expiresIn * 1000;
+        return token;
+    } catch (e) {
+        tokenCache.delete(cacheKey);
+        throw e;
+    }
+}
+
+function invalidateAccessToken(env) {
+    tokenCache.delete(env.GOOGLE_APPLICATION_CREDENTIALS || '');
+}
+
+async function requestAccessToken(env) {
     if (!env.GOOGLE_APPLICATION_CREDENTIALS) {
         throw new Error('GOOGLE_APPLICATION_CREDENTIALS secret is missing');
     }
@@ -63,9 +92,12 @@ async function getAccessToken(env) {
     if (data.error) {
         throw new Error(`Google Auth Error: ${data.error_description || data.error}`);
     }
-    return data.access_token;
+    return { token: data.access_token, expiresIn: data.expires_in || 3600 };
 }
 
+export const DEFAULT_MODEL = 'gemini-2.5-flash-lite';
+export const DEFAULT_EMBEDDING_MODEL = 'text-embedding-005';
+
 function getVertexEndpoint(location) {
     if (location === 'global') {
         return 'https://aiplatform.googleapis.com';
@@ -76,7 +108,7 @@ function getVertexEndpoint(location) {
     return `https://${location}-aiplatform.googleapis.com`;
 }
 
-export async function extractFromPdf(pdfBase64, customPrompt, temperature, env, model = 'gemini-2.5-flash-lite') {
+function getProjectAndLocation(env) {
     let project = env.GOOGLE_CLOUD_PROJECT;
     if (!project && env.GOOGLE_APPLICATION_CREDENTIALS) {
         try {
@@ -86,11 +118,13 @@ export async function extractFromPdf(pdfBase64, customPrompt, temperature, env,
             console.error('Failed to parse GOOGLE_APPLICATION_CREDENTIALS for project_id:', e);
         }
     }
-    project = project || 'vertex-pdf-ex';
-    let location = env.GOOGLE_CLOUD_LOCATION || 'us';
-
-    console.log(`Starting extraction using ${model} for project: ${project} in ${location}`);
+    return { project: project || 'vertex-pdf-ex', location: env.GOOGLE_CLOUD_LOCATION || 'us' };
+}
 
+// POST to a model method (generateContent / streamGenerateContent / predict) and return the ok Response.
+// Errors carry .status (and .retryAfterMs) for the retry policy in llmClient.js.
+async function postToModel(env, model, method, requestBody) {
+    const { project, location } = getProjectAndLocation(env);
     let accessToken;
     try {
         accessToken = await getAccessToken(env);
@@ -99,266 +133,115 @@ export async function extractFromPdf(pdfBase64, customPrompt, temperature, env,
         throw e;
     }
     const endpoint = getVertexEndpoint(location);
-    const url = `${endpoint}/v1/projects/${project}/locations/${location}/publishers/google/models/${model}:generateContent`;
+    const url = `${endpoint}/v1/projects/${project}/locations/${location}/publishers/google/models/${model}:${method}`;
 
-    const parts = [];
-    if (pdfBase64) {
-        parts.push({
-            inlineData: {
-                mimeType: 'application/pdf',
-                data: pdfBase64,
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
             },
+            body: JSON.stringify(requestBody)
         });
+    } catch (e) {
+        e.networkError = true;
+        throw e;
     }
-    let requestBody = {
-        contents: [
-            {
-                role: 'user',
-                parts: [
-                    ...parts,
-                    {
-                        text: "### SYSTEM INSTRUCTIONS: STRICT OCR EXTRACTION MODE ###\n" +
-                            "You are a robotic scanning tool. Your ONLY job is to extract text exactly as it is physically printed on the page. Do NOT use your medical training to 'finish' or 'repair' questions.\n\n" +
-                            "### MISSION CRITICAL RULES ###\n" +
-                            "1. TOP-DOWN SCAN: Process the document strictly from Top-Left to Bottom-Right. Maintain the original sequence of questions. Do NOT reorder them.\n" +
-                            "2. INK-ONLY POLICY: Extract ONLY the literal ink on the page. If the PDF says something, extract it. If it doesn't, DO NOT add it. Do NOT 'help' by adding common medical questions or topics.\n" +
-                            "3. ZERO HALLUCINATION: If you add a single medical concept or question that isn't physically visible, the task is a failure. No external knowledge allowed.\n" +
-                            "4. STOP PROTOCOL: Stop generating immediately once the printed text ends. Do NOT append your own examples or meta-commentary.\n\n" +
-                            "### SPECIFIC EXTRACTION PROMPT ###\n" +
-                            (customPrompt || 'Extract all relevant information from this question paper. Format the output as a JSON array of objects. For very long papers, you may use a Pipe-Separated list (PSV) with headers to stay within limits. Columns: S.No, Question, Paper, Subject, Month Year, Type, Section, University Name, CBME, Supplementary.') +
-                            '\n\n### FINAL ENFORCEMENT ###: Output ONLY the requested data format (JSON/PSV). Zero creativity allowed.'
-                    }
-                ],
-            },
-        ],
-        generationConfig: {
-            temperature: typeof temperature === 'number' && !isNaN(temperature) ? temperature : 0.0,
-            maxOutputTokens: 65535,
-        },
-    };
 
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-    });
-
-    if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`Vertex AI Error: ${JSON.stringify(errorData)}`);
+    if (response.ok) {
+        return response;
     }
 
-    let responseData = await response.json();
-    if (!responseData.candidates || !responseData.candidates[0] || !responseData.candidates[0].content) {
+    // A revoked or expired token must not be served from the cache again
+    if (response.status === 401) invalidateAccessToken(env);
+    const errorText = await response.text();
+    const err = new Error(`Gemini API Error (Status ${response.status}): ${errorText}`);
+    err.status = response.status;
+    err.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+    throw err;
+}
+
+// Joins all text parts of the first candidate; a MAX_TOKENS stop can come back with no parts at all
+function readCandidate(responseData) {
+    const candidate = responseData.candidates && responseData.candidates[0];
+    if (!candidate || !candidate.content) {
         throw new Error('Malformed response from Vertex AI: ' + JSON.stringify(responseData));
     }
+    const text = (candidate.content.parts || []).map(p => p.text || '').join('');
+    return { text, finishReason: candidate.finishReason };
+}
 
-    const text = responseData.candidates[0].content.parts[0].text;
-    const extractedData = parseResponse(text);
-
-    // Optimization: Clear large objects immediately
-    const usageInfo = {
-        ...responseData.usageMetadata,
-        modelLimit: 1048576,
-        maxOutputTokens: requestBody.generationConfig.maxOutputTokens
-    };
-
-    // Nullify huge objects to free memory in Cloudflare Worker
-    pdfBase64 = null;
-    requestBody = null;
-    responseData = null;
-
+function normalizeUsage(usage = {}) {
     return {
-        data: extractedData,
-        usage: usageInfo
+        promptTokenCount: usage.promptTokenCount || 0,
+        candidatesTokenCount: usage.candidatesTokenCount || 0,
+        totalTokenCount: usage.totalTokenCount || 0
     };
 }
 
 /**
- * Multi-turn chat with Gemini, supporting file attachments and prompt context.
- * @param {Array} messages - Array of { role: 'user' | 'model', content: string }
- * @param {Array} attachments - Array of { mimeType: string, base64: string }
- * @param {string} promptContext - Optional system prompt/context
- * @param {object} env - Cloudflare environment bindings
+ * Vertex AI / Gemini implementation of the provider interface (see llm.js).
+ * Requests already use Gemini's `contents` shape, so they are sent as they are.
  */
-export async function chatWithGemini(messages, attachments, promptContext, env, model = 'gemini-2.5-flash-lite') {
-    let project = env.GOOGLE_CLOUD_PROJECT;
-    if (!project && env.GOOGLE_APPLICATION_CREDENTIALS) {
-        try {
-            const credentials = JSON.parse(env.GOOGLE_APPLICATION_CREDENTIALS);
-            project = credentials.project_id;
-        } catch (e) {
-            console.error('Failed to parse GOOGLE_APPLICATION_CREDENTIALS for project_id:', e);
-        }
-    }
-    project = project || 'vertex-pdf-ex';
-    let location = env.GOOGLE_CLOUD_LOCATION || 'us';
-
-    const accessToken = await getAccessToken(env);
-    const endpoint = getVertexEndpoint(location);
-    const url = `${endpoint}/v1/projects/${project}/locations/${location}/publishers/google/models/${model}:generateContent`;
-
-    // Build the contents array for multi-turn conversation
-    const contents = [];
-
-    // Add system context as the first "user" message if provided
-    if (promptContext) {
-        contents.push({
-            role: 'user',
-            parts: [{ text: `[System Context - Current Prompt]:\n${promptContext}\n\n---\nYou are a helpful AI assistant. Use the above prompt as context to help the user refine it or answer questions about attached files.` }]
+export const vertexProvider = {
+    name: 'vertex',
+    modelLimit: 1048576,
+
+    async generate(env, model, { contents, temperature, maxOutputTokens }) {
+        const response = await postToModel(env, model, 'generateContent', {
+            contents,
+            generationConfig: { temperature, maxOutputTokens }
         });
-        contents.push({
-            role: 'model',
-            parts: [{ text: 'Understood. I have the prompt context loaded. How can I help you?' }]
+        const responseData = await response.json();
+        const { text, finishReason } = readCandidate(responseData);
+        return { text, finishReason, usage: normalizeUsage(responseData.usageMetadata) };
+    },
+
+    // streamGenerateContent with alt=sse: every event is a partial GenerateContentResponse
+    async stream(env, model, { contents, temperature, maxOutputTokens }, onText) {
+        const response = await postToModel(env, model, 'streamGenerateContent?alt=sse', {
+            contents,
+            generationConfig: { temperature, maxOutputTokens }
         });
-    }
-
-    // Add conversation history
-    for (const msg of messages) {
-        const parts = [];
 
-        // For the latest user message, include attachments
-        if (msg.role === 'user' && msg === messages[messages.length - 1] && attachments && attachments.length > 0) {
-            for (const att of attachments) {
-                parts.push({
-                    inlineData: {
-                        mimeType: att.mimeType,
-                        data: att.base64
-                    }
-                });
+        let text = '';
+        let finishReason;
+        let usage;
+        await readServerSentEvents(response, async (data) => {
+            const chunk = JSON.parse(data);
+            if (chunk.error) {
+                throw new Error(`Gemini API Error (stream): ${JSON.stringify(chunk.error)}`);
             }
-        }
-
-        parts.push({ text: msg.content });
-        contents.push({ role: msg.role, parts });
-    }
-
-    const requestBody = {
-        contents,
-        generationConfig: {
-            temperature: 0.7,
-            maxOutputTokens: 4096
-        }
-    };
-
-    let response;
-    let data;
-    let retries = 0;
-    const maxRetries = 4;
-
-    while (retries <= maxRetries) {
-        response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestBody)
-        });
-
-        if (response.ok) {
-            data = await response.json();
-            break;
-        }
-        
-        const errorData = await response.json();
-
-        // Check for 429 Quota Error
-        if (response.status === 429 && retries < maxRetries) {
-            retries++;
-            // Exponential backoff: 2s, 4s, 8s, 16s + jitter
-            const delay = Math.pow(2, retries) * 1000 + (Math.random() * 1000);
-            console.log(`[Gemini] 429 Quota Hit. Retrying in ${Math.round(delay)}ms... (Attempt ${retries}/${maxRetries})`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            continue;
-        }
-
-        throw new Error(`Gemini API Error (Status ${response.status}): ${JSON.stringify(errorData)}`);
-    }
-
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-        throw new Error('Malformed response from Gemini: ' + JSON.stringify(data));
-    }
-
-    const reply = data.candidates[0].content.parts[0].text;
-    return { reply, usage: data.usageMetadata };
-}
-
-function parseResponse(text) {
-    if (!text) throw new Error("Empty response from AI");
-
-    // 1. Try to extract JSON from code blocks or loose text
-    let jsonString = text.trim();
-    const jsonMatch = text.match(/```json\s*([\s\S]*?)\s*```/) || text.match(/\[\s*\{[\s\S]*\}\s*\]/);
-    if (jsonMatch) {
-        jsonString = jsonMatch[1] || jsonMatch[0];
-    } else {
-        // Fallback: strip backticks if any
-        jsonString = jsonString.replace(/```json\n?|```/g, '').trim();
-    }
-
-    try {
-        const parsed = JSON.parse(jsonString);
-        if (Array.isArray(parsed)) return parsed;
-        if (parsed.questions && Array.isArray(parsed.questions)) return parsed.questions;
-        if (parsed.data && Array.isArray(parsed.data)) return parsed.data;
-        if (parsed.results && Array.isArray(parsed.results)) return parsed.results;
-        return [parsed];
-    } catch (e) {
-        // If JSON fails, it might be truncated. Try to "fix" it if it's an array
-        if (jsonString.startsWith('[') && !jsonString.endsWith(']')) {
-            try {
-                const lastBrace = jsonString.lastIndexOf('}');
-                if (lastBrace !== -1) {
-                    const fixed = jsonString.substring(0, lastBrace + 1) + ']';
-                    return JSON.parse(fixed);
+            const candidate = chunk.candidates && chunk.candidates[0];
+            if (candidate) {
+                const piece = ((candidate.content && candidate.content.parts) || []).map(p => p.text || '').join('');
+                if (piece) {
+                    text += piece;
+                    await onText(piece);
                 }
-            } catch (innerE) { /* ignore */ }
-        }
-        console.log("JSON parse failed or truncated, attempting PSV parsing...");
-    }
-
-    // 2. Try Pipe-Separated Values (PSV)
-    try {
-        const lines = text.trim().split('\n').map(l => l.trim()).filter(l => l !== '');
-        if (lines.length === 0) throw new Error("No text lines found");
-
-        const standardHeaders = [
-            "S.No", "Question", "Paper", "Subject", "Month Year",
-            "Type", "Section", "University Name", "CBME", "Supplementary"
-        ];
-
-        let headers = standardHeaders;
-        let startIdx = 0;
-
-        // Header detection
-        const firstLine = lines[0].toLowerCase();
-        if (firstLine.includes('|') && (firstLine.includes('question') || firstLine.includes('s.no'))) {
-            headers = lines[0].split('|').map(h => h.trim()).filter(h => h !== '');
-            startIdx = 1;
-        }
-
-        const data = [];
-        for (let i = startIdx; i < lines.length; i++) {
-            const line = lines[i];
-            if (!line.includes('|')) continue;
+                if (candidate.finishReason) finishReason = candidate.finishReason;
+            }
+            if (chunk.usageMetadata) usage = chunk.usageMetadata;
+        });
+        return { text, finishReason, usage: normalizeUsage(usage) };
+    },
 
-            const values = line.split('|').map(v => v.trim());
-            const row = {};
-            headers.forEach((header, index) => {
-                row[header] = values[index] || '';
-            });
-            data.push(row);
+    // Text embeddings (text-embedding-* models) for similarity scoring
+    async embed(env, model, texts) {
+        const response = await postToModel(env, model, 'predict', {
+            instances: texts.map(content => ({ content, task_type: 'SEMANTIC_SIMILARITY' }))
+        });
+        const data = await response.json();
+        const predictions = data.predictions || [];
+        if (predictions.length !== texts.length) {
+            throw new Error(`Malformed embeddings response from Vertex AI: expected ${texts.length} vectors, got ${predictions.length}`);
         }
-
-        if (data.length > 0) return data;
-
-    } catch (e) {
-        console.error('PSV parse failed:', e);
+        const tokens = predictions.reduce((sum, p) => sum + ((p.embeddings.statistics && p.embeddings.statistics.token_count) || 0), 0);
+        return {
+            vectors: predictions.map(p => p.embeddings.values),
+            usage: { promptTokenCount: tokens, candidatesTokenCount: 0, totalTokenCount: tokens }
+        };
     }
-
-    throw new Error('Could not parse AI response. It may be too long or truncated. Try using a shorter prompt or manually re-running this file. Raw snippet: ' + text.substring(0, 300) + '...');
-}
+};
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuestionNumber, processExcelMerge } from '../src/excelGroupParser.js';
+
+const parsed = (root, rootStyle, parts = [], section = null) => ({ root, rootStyle, parts, section, unreadable: false });
+
+function csvBuffer(lines) {
+    return new TextEncoder().encode(lines.join('\n') + '\n').buffer;
+}
+
+test('parseQuestionNumber reads the documented numbering formats', () => {
+    assert.deepEqual(parseQuestionNumber('3'), parsed(3, 'arabic'));
+    assert.deepEqual(parseQuestionNumber('Q.1 (i)'), parsed(1, 'arabic', ['i']));
+    assert.deepEqual(parseQuestionNumber('Question 4'), parsed(4, 'arabic'));
+    assert.deepEqual(parseQuestionNumber('2b'), parsed(2, 'arabic', ['b']));
+    assert.deepEqual(parseQuestionNumber('1.10'), parsed(1, 'arabic', ['10']));
+    assert.deepEqual(parseQuestionNumber('(b)'), parsed(null, null, ['b']));
+    assert.deepEqual(parseQuestionNumber('Section B'), parsed(null, null, [], 'B'));
+});
+
+test('parseQuestionNumber reads compound numbering in bracket and dotted styles', () => {
+    assert.deepEqual(parseQuestionNumber('1(a)(ii)'), parsed(1, 'arabic', ['a', 'ii']));
+    assert.deepEqual(parseQuestionNumber('1.a.ii'), parsed(1, 'arabic', ['a', 'ii']));
+});
+
+test('parseQuestionNumber reads roman roots by value', () => {
+    assert.deepEqual(parseQuestionNumber('IV.'), parsed(4, 'roman'));
+    assert.deepEqual(parseQuestionNumber('ii'), parsed(2, 'roman'));
+});
+
+test('parseQuestionNumber flags text it cannot read', () => {
+    assert.equal(parseQuestionNumber('see notes').unreadable, true);
+    assert.equal(parseQuestionNumber('').unreadable, false);
+});
+
+test('a lone roman number after an arabic question is grouped as its subpart', async () => {
+    const result = await processExcelMerge(csvBuffer([
+        'No,Question',
+        '1,What is anaemia and how is it classified',
+        'ii,Describe the causes of iron deficiency',
+        '2,Define shock and list its types'
+    ]), { fileName: 'paper.csv' });
+
+    assert.deepEqual(result.orderedRoots, ['block_1_root_1', 'block_1_root_2']);
+    assert.deepEqual(result.groups.block_1_root_1.map(row => row.q_num), ['1', 'ii']);
+    assert.deepEqual(result.warnings.map(w => w.q_num), ['ii']);
+});
+
+test('compound subparts stay with their root and a restart opens a new block', async () => {
+    const result = await processExcelMerge(csvBuffer([
+        'No,Question',
+        '1(a),Define hypertension in adults',
+        '1(a)(ii),List the secondary causes of hypertension',
+        '1.b,Outline the management of hypertension',
+        '1(a),Define diabetes mellitus in adults'
+    ]), { fileName: 'paper.csv' });
+
+    assert.deepEqual(result.orderedRoots, ['block_1_root_1', 'block_2_root_1']);
+    assert.equal(result.groups.block_1_root_1.length, 3);
+    assert.deepEqual(result.groups.block_2_root_1.map(row => row.original_row), [5]);
+});
+
+test('sections get their own groups and a roman question list is not read as subparts', async () => {
+    const result = await processExcelMerge(csvBuffer([
+        'No,Question',
+        'I,Describe the anatomy of the heart',
+        'II,Describe the blood supply of the heart',
+        'Section B,',
+        '1,Write short notes on pericarditis'
+    ]), { fileName: 'paper.csv' });
+
+    assert.deepEqual(result.orderedRoots, ['block_1_root_1', 'block_1_root_2', 'block_1_sec_B_heading_1', 'block_1_sec_B_root_1']);
+    assert.deepEqual(result.warnings, []);
+});
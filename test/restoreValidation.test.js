@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isAnchor, anchorIds, validateRestoreResults } from '../src/restoreValidation.js';
+
+test('isAnchor accepts plain numbers and "a" subparts only', () => {
+    assert.equal(isAnchor('3'), true);
+    assert.equal(isAnchor('1(a)'), true);
+    assert.equal(isAnchor('1.a.ii'), true);
+    assert.equal(isAnchor('1(b)'), false);
+    assert.equal(isAnchor('(b)'), false);
+    assert.equal(isAnchor('Section B'), false);
+});
+
+test('a lone roman number is an anchor only when it starts its group', () => {
+    const items = [
+        { id: 1, q_num: '1', group_id: 'g1', group_index: 0 },
+        { id: 2, q_num: 'ii', group_id: 'g1', group_index: 1 },
+        { id: 3, q_num: 'I', group_id: 'g2', group_index: 0 },
+        { id: 4, q_num: 'iii', group_id: 'g3', group_index: 2 }
+    ];
+    assert.deepEqual([...anchorIds(items)], ['1', '3']);
+});
+
+test('a changed anchor is reverted to its original text', () => {
+    const items = [
+        { id: 1, q_num: '1(a)', q_text: 'Define anaemia.', group_id: 'g1', group_index: 0 },
+        { id: 2, q_num: '1(b)', q_text: 'Its causes.', group_id: 'g1', group_index: 1 }
+    ];
+    const { accepted, problems, unknownIds } = validateRestoreResults(items, [
+        { id: 1, status: 'Incomplete', restored_text: 'Define anaemia in a child.' },
+        { id: 2, status: 'Complete', restored_text: 'List the causes of anaemia.' }
+    ]);
+
+    assert.deepEqual(accepted.get('1').row, { id: 1, status: 'Complete', restored_text: 'Define anaemia.' });
+    assert.match(accepted.get('1').notes[0], /must not be changed/);
+    assert.deepEqual(accepted.get('2').row, { id: 2, status: 'Complete', restored_text: 'List the causes of anaemia.' });
+    assert.equal(problems.size, 0);
+    assert.deepEqual(unknownIds, []);
+});
+
+test('a roman subpart is validated as a restored row, not reverted as an anchor', () => {
+    const items = [
+        { id: 1, q_num: '1', q_text: 'Describe shock.', group_id: 'g1', group_index: 0 },
+        { id: 2, q_num: 'ii', q_text: 'Its management.', group_id: 'g1', group_index: 1 }
+    ];
+    const { accepted } = validateRestoreResults(items, [
+        { id: 1, status: 'Complete', restored_text: 'Describe shock.' },
+        { id: 2, status: 'Complete', restored_text: 'Describe the management of shock.' }
+    ]);
+    assert.equal(accepted.get('2').row.restored_text, 'Describe the management of shock.');
+    assert.deepEqual(accepted.get('2').notes, []);
+});
+
+test('missing anchors are filled in, while missing and invalid rows are sent back', () => {
+    const items = [
+        { id: 1, q_num: '2', q_text: 'Define sepsis.', group_id: 'g2', group_index: 0 },
+        { id: 2, q_num: '2(b)', q_text: 'Treatment.', group_id: 'g2', group_index: 1 },
+        { id: 3, q_num: '2(c)', q_text: 'Complications.', group_id: 'g2', group_index: 2 }
+    ];
+    const { accepted, problems, unknownIds } = validateRestoreResults(items, [
+        { id: 2, status: 'Complete', restored_text: 'Describe the treatment of [condition].' },
+        { id: 9, status: 'Complete', restored_text: 'Stray row.' }
+    ]);
+
+    assert.equal(accepted.get('1').row.restored_text, 'Define sepsis.');
+    assert.match(problems.get('2'), /placeholder/);
+    assert.equal(problems.get('3'), 'id missing from the response');
+    assert.deepEqual(unknownIds, [9]);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSorterGroup, repairSorterGroup } from '../src/sorterValidation.js';
+
+const group = { groupId: 'G1', repQuestion: 'Anaemia', similarQuestions: ['Define anaemia', 'Causes of anaemia', 'Iron deficiency'] };
+
+test('a ledger that uses every index once is valid', () => {
+    const rows = [
+        { groupId: 'G1', subGroup: 'A', status: 'Merged', mergedQuestion: 'Define anaemia', mergedIndices: [0, 1] },
+        { groupId: 'G1', subGroup: 'B', status: 'Unmerged', mergedQuestion: 'Causes of anaemia', mergedIndices: [2] },
+        { groupId: 'G1', subGroup: 'C', status: 'Unmerged', mergedQuestion: 'Iron deficiency', mergedIndices: [3] }
+    ];
+    assert.deepEqual(validateSorterGroup(group, rows), []);
+    assert.deepEqual(validateSorterGroup(group, [
+        { groupId: 'G1', subGroup: null, status: 'Merged', mergedQuestion: 'Anaemia', mergedIndices: [0, 1, 2, 3] }
+    ]), []);
+});
+
+test('dropped, duplicated and out-of-range indices are reported', () => {
+    const violations = validateSorterGroup(group, [
+        { groupId: 'G1', subGroup: 'A', status: 'Merged', mergedQuestion: 'Define anaemia', mergedIndices: [0, 1, 7] },
+        { groupId: 'G1', subGroup: 'B', status: 'Merged', mergedQuestion: 'Causes of anaemia', mergedIndices: [1, 2] }
+    ]);
+    assert.deepEqual(violations, [
+        'row 1 has index 7, outside 0..3',
+        'indices dropped: 3',
+        'indices used more than once: 1'
+    ]);
+    assert.deepEqual(validateSorterGroup(group, []), ['group missing from the response']);
+});
+
+test('repair drops duplicates, restores dropped indices and relabels the rows', () => {
+    const { rows, repairs } = repairSorterGroup(group, [
+        { groupId: 'G1', subGroup: null, status: 'Merged', mergedQuestion: 'Define anaemia', mergedIndices: [0, 1, 7] },
+        { groupId: 'G1', subGroup: null, status: 'Merged', mergedQuestion: '', mergedIndices: [1, 2] }
+    ]);
+
+    assert.deepEqual(rows, [
+        { groupId: 'G1', subGroup: 'A', status: 'Merged', mergedQuestion: 'Define anaemia', mergedIndices: [0, 1] },
+        { groupId: 'G1', subGroup: 'B', status: 'Unmerged', mergedQuestion: 'Causes of anaemia', mergedIndices: [2] },
+        { groupId: 'G1', subGroup: 'C', status: 'Unmerged', mergedQuestion: 'Iron deficiency', mergedIndices: [3] }
+    ]);
+    assert.deepEqual(repairs, [
+        'removed invalid index 7',
+        'removed duplicate index 1',
+        'filled empty mergedQuestion from index 2',
+        'restored dropped index 3 as its own row',
+        'set status of indices [2] to Unmerged',
+        'relabelled subGroups as A,B,C'
+    ]);
+    assert.deepEqual(validateSorterGroup(group, rows), []);
+});
+
+test('repair of a missing group gives every question its own row', () => {
+    const single = { groupId: 'G2', repQuestion: 'COPD', similarQuestions: [] };
+    const { rows } = repairSorterGroup(single, []);
+    assert.deepEqual(rows, [{ groupId: 'G2', subGroup: null, status: 'Unmerged', mergedQuestion: 'COPD', mergedIndices: [0] }]);
+    assert.deepEqual(validateSorterGroup(single, rows), []);
+});